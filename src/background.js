@@ -1,11 +1,428 @@
 // Background Service Worker for Chrome Usage Tracker
 // Handles tab tracking, storage, and data management
 
+// Built-in categories. Weights: productive sites raise the daily score,
+// distracting ones lower it, neutral ones count half.
+const DEFAULT_CATEGORIES = {
+  Work: { weight: 'productive' },
+  Reference: { weight: 'productive' },
+  News: { weight: 'neutral' },
+  Social: { weight: 'distracting' },
+  Entertainment: { weight: 'distracting' }
+};
+
+const DEFAULT_DOMAIN_CATEGORIES = {
+  'github.com': 'Work',
+  'gitlab.com': 'Work',
+  'bitbucket.org': 'Work',
+  'atlassian.net': 'Work',
+  'docs.google.com': 'Work',
+  'drive.google.com': 'Work',
+  'mail.google.com': 'Work',
+  'calendar.google.com': 'Work',
+  'meet.google.com': 'Work',
+  'outlook.office.com': 'Work',
+  'slack.com': 'Work',
+  'notion.so': 'Work',
+  'figma.com': 'Work',
+  'trello.com': 'Work',
+  'stackoverflow.com': 'Reference',
+  'stackexchange.com': 'Reference',
+  'developer.mozilla.org': 'Reference',
+  'wikipedia.org': 'Reference',
+  'npmjs.com': 'Reference',
+  'news.ycombinator.com': 'News',
+  'bbc.com': 'News',
+  'bbc.co.uk': 'News',
+  'cnn.com': 'News',
+  'nytimes.com': 'News',
+  'theguardian.com': 'News',
+  'reuters.com': 'News',
+  'facebook.com': 'Social',
+  'instagram.com': 'Social',
+  'twitter.com': 'Social',
+  'x.com': 'Social',
+  'reddit.com': 'Social',
+  'linkedin.com': 'Social',
+  'youtube.com': 'Entertainment',
+  'netflix.com': 'Entertainment',
+  'twitch.tv': 'Entertainment',
+  'tiktok.com': 'Entertainment',
+  'spotify.com': 'Entertainment'
+};
+
+// Keyword hints used to suggest a category for domains nobody has mapped yet
+const CATEGORY_HINTS = [
+  ['Reference', ['wiki', 'docs', 'developer', 'learn', 'dictionary', 'manual', 'api']],
+  ['Work', ['mail', 'calendar', 'drive', 'jira', 'confluence', 'git', 'console', 'admin', 'dashboard', 'zoom', 'office', 'meet']],
+  ['News', ['news', 'times', 'post', 'herald', 'tribune', 'journal', 'daily']],
+  ['Social', ['social', 'chat', 'forum', 'community', 'tweet', 'insta', 'face']],
+  ['Entertainment', ['video', 'tv', 'movie', 'music', 'game', 'stream', 'play', 'anime', 'comic']]
+];
+
+const CATEGORY_WEIGHTS = { productive: 1, neutral: 0.5, distracting: 0 };
+
+// 'site' is today's time on the current site, 'total' today's time overall
+const BADGE_MODES = ['site', 'total', 'pomodoro', 'tasks', 'off'];
+
+const BADGE_COLORS = {
+  default: '#303b39',
+  warn: '#e67e22',
+  over: '#e74c3c',
+  work: '#c0392b',
+  break: '#27ae60',
+  paused: '#7f8c8d'
+};
+
+const DEFAULT_SETTINGS = {
+  trackingEnabled: true,
+  dailyGoal: 480, // 8 hours in minutes
+  goalType: 'max', // 'max' caps total browsing, 'min' is a floor for productive time
+  excludedDomains: ['chrome://', 'chrome-extension://', 'about:'],
+  dataRetentionDays: 30,
+  idleThresholdSeconds: 60,
+  dayStartHour: 0
+};
+
+// Storage layout version. Bump it together with a new MIGRATIONS entry.
+const SCHEMA_VERSION = 2;
+
+// Ordered steps, each upgrading a full storage snapshot to `version`. Steps
+// work on the snapshot only (never on chrome.storage) so the same code can
+// upgrade imported exports and can be rolled back by not writing the result.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move visit and session buckets from UTC dates to local days',
+    up(data, tracker) {
+      // Installs that ran the earlier one-off migration are already local
+      if (data.migrations && data.migrations.localDayBuckets) return data;
+      const { items, staleKeys } = tracker.rebucketData(data);
+      const next = { ...data, ...items };
+      staleKeys.forEach((key) => delete next[key]);
+      return next;
+    }
+  },
+  {
+    version: 2,
+    description: 'Fill in settings defaults, tasks and Pomodoro state; drop the old migrations marker',
+    up(data, tracker) {
+      const next = { ...data };
+      next.settings = { ...DEFAULT_SETTINGS, ...(data.settings || {}) };
+      next.tasks = Array.isArray(data.tasks) ? data.tasks : [];
+      next.pomodoro = { ...tracker.pomodoro, ...(data.pomodoro || {}) };
+      delete next.migrations;
+      return next;
+    }
+  }
+];
+
+const EXPORT_FORMATS = {
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  tsv: { mimeType: 'text/tab-separated-values', extension: 'tsv' },
+  jsonl: { mimeType: 'application/x-ndjson', extension: 'jsonl' },
+  json: { mimeType: 'application/json', extension: 'json' },
+  encrypted: { mimeType: 'application/json', extension: 'json' }
+};
+
+// Encrypted backups: AES-GCM with a key derived from the passphrase by
+// PBKDF2-SHA-256. The iteration count is stored in each file so it can be
+// raised later without breaking old backups.
+const ENCRYPTED_BACKUP_FORMAT = 'usage-tracker-encrypted';
+const BACKUP_KDF_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const EXPORT_GROUPINGS = ['day-domain', 'day-url', 'category', 'week'];
+
+// Keys an export may contain and the shape each must have
+const IMPORT_KEYS = [
+  [/^visits_\d{4}-\d{2}-\d{2}$/, 'object'],
+  [/^sessions_\d{4}-\d{2}-\d{2}$/, 'array'],
+  [/^monthly_\d{4}-\d{2}$/, 'object'],
+  [/^focus_\d{4}-\d{2}-\d{2}$/, 'array'],
+  [/^budgets_\d{4}-\d{2}-\d{2}$/, 'object'],
+  [/^(statistics|settings|pomodoro|goalHistory|pausedDomains|migrations)$/, 'object'],
+  [/^tasks$/, 'array'],
+  [/^schemaVersion$/, 'number']
+];
+
+const IMPORT_SHAPE_NAMES = { object: 'an object', array: 'a list', number: 'a number' };
+
+const IMPORT_STRATEGIES = ['replace', 'sum', 'max'];
+
+// Longest span getRangeStats will read at once
+const MAX_RANGE_DAYS = 366;
+
+const CONTEXT_MENU_ITEMS = [
+  { id: 'exclude-site', type: 'checkbox', title: 'Exclude this site from tracking' },
+  { id: 'pause-site', type: 'checkbox', title: 'Pause tracking for this site for 1 hour' },
+  { id: 'add-task', title: 'Add this page as a task' },
+  { id: 'show-stats', title: "Show this site's stats" }
+];
+
+const SITE_PAUSE_MS = 60 * 60 * 1000;
+
+// storage.sync allows 8 KB per item and about 100 KB in total. Chunks of 4000
+// ASCII characters stay under the item limit even if JSON escaping doubles them.
+const SYNC_CHUNK_CHARS = 4000;
+const SYNC_QUOTA_BYTES = (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES) || 102400;
+const SYNC_DAYS = 14;
+const SYNC_DOMAINS_PER_DAY = 25;
+const SYNC_OTHER_SITES = '(other sites)';
+const SYNC_INTERVAL_MINUTES = 15;
+// Deletes older than this are forgotten; a device offline for longer may
+// bring such a task back
+const SYNC_TOMBSTONE_DAYS = 30;
+// Settings that stay per device
+const SYNC_LOCAL_SETTINGS = ['trackingEnabled', 'syncEnabled', 'backupFrequency', 'backupKeep'];
+const TASK_SYNC_FIELDS = ['text', 'done', 'dueAt', 'url'];
+// Bookkeeping of this install that clearing or replacing the data keeps, so
+// the device does not rejoin sync under a new id, backup rotation still
+// knows which files it wrote and the open span survives
+const DEVICE_STATE_KEYS = ['syncDevice', 'syncStatus', 'settingsClock', 'taskTombstones', 'backupStatus', 'trackerState'];
+// Exports dump the whole storage area. Besides IMPORT_KEYS that includes
+// these install-specific keys, which an import skips without a warning.
+const EXPORT_ONLY_KEYS = [...DEVICE_STATE_KEYS, 'schemaBackup', 'storageWarning'];
+
+// Without the unlimitedStorage permission chrome.storage.local holds 10 MB
+const STORAGE_QUOTA_BYTES = chrome.storage.local.QUOTA_BYTES || 10485760;
+const STORAGE_WARN_RATIO = 0.8;
+const STORAGE_REPORT_TOP = 5;
+// Keys are grouped by the first matching pattern; anything else is 'other'
+const STORAGE_FAMILIES = [
+  { family: 'visits', pattern: /^visits_/ },
+  { family: 'sessions', pattern: /^sessions_/ },
+  { family: 'monthly', pattern: /^monthly_/ },
+  { family: 'statistics', pattern: /^statistics$/ },
+  { family: 'tasks', pattern: /^(tasks|taskTombstones)$/ },
+  { family: 'logs', pattern: /^(budgets_|focus_|goalHistory$)/ },
+  { family: 'settings', pattern: /^(settings|settingsClock|pomodoro|pausedDomains)$/ },
+  { family: 'backup', pattern: /^schemaBackup$/ }
+];
+const DEFAULT_URLS_PER_DOMAIN = 50;
+// URLs folded away by compaction keep their time under this entry
+const OTHER_PAGES_URL = '(other pages)';
+
+// Automatic backups go to this subfolder of the downloads folder
+const BACKUP_FOLDER = 'usage-tracker-backups';
+const BACKUP_FREQUENCIES = { daily: 24 * 60, weekly: 7 * 24 * 60 }; // minutes
+const DEFAULT_BACKUP_KEEP = 7;
+// Bookkeeping that changes without any tracked data changing
+const BACKUP_VOLATILE_KEYS = ['backupStatus', 'syncStatus', 'storageWarning'];
+
+// Extra time granted by the "5 more minutes" button on the budget block screen
+const BUDGET_SNOOZE_MS = 5 * 60 * 1000;
+
+// How long counter updates (visit time, statistics, session logs) collect in
+// memory before they are written together
+const STORAGE_FLUSH_MS = 1000;
+
+// Every write to chrome.storage.local goes through this queue so that two
+// read-modify-write cycles can never interleave and drop each other's change.
+// Tasks run one at a time in call order and receive the storage area; a task
+// must use that area directly, because waiting on the queue from inside a
+// task would wait on itself.
+class StorageQueue {
+  constructor(area, flushDelay = STORAGE_FLUSH_MS) {
+    this.area = area;
+    this.flushDelay = flushDelay;
+    this.tail = Promise.resolve();
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  // Runs task(area) after all earlier tasks and batched updates
+  exclusive(task) {
+    this.queueBatch();
+    return this.enqueue(task);
+  }
+
+  // Reads keys, passes them to mutate(values) and writes the object it
+  // returns (if any). Resolves to that object.
+  update(keys, mutate) {
+    return this.exclusive(async (area) => {
+      const values = await area.get(keys);
+      const changes = await mutate(values);
+      if (changes && Object.keys(changes).length > 0) {
+        await area.set(changes);
+      }
+      return changes;
+    });
+  }
+
+  set(items) {
+    return this.exclusive((area) => area.set(items));
+  }
+
+  remove(keys) {
+    return this.exclusive((area) => area.remove(keys));
+  }
+
+  // Reads see every write queued before them, including batched updates
+  async get(keys) {
+    await this.flush();
+    return this.area.get(keys);
+  }
+
+  // Records apply(value) => newValue for key without touching storage. All
+  // updates collected within flushDelay are folded into one write.
+  increment(key, apply) {
+    if (!this.pending.has(key)) this.pending.set(key, []);
+    this.pending.get(key).push(apply);
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.queueBatch(), this.flushDelay);
+    }
+  }
+
+  flush() {
+    this.queueBatch();
+    return this.tail;
+  }
+
+  queueBatch() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.size === 0) return;
+
+    const batch = this.pending;
+    this.pending = new Map();
+    const keys = [...batch.keys()];
+    this.enqueue(async (area) => {
+      const values = await area.get(keys);
+      batch.forEach((updates, key) => {
+        values[key] = updates.reduce((value, apply) => {
+          // One bad update must not cost the rest of the batch
+          try {
+            return apply(value);
+          } catch (error) {
+            console.error(`Error applying update to ${key}:`, error);
+            return value;
+          }
+        }, values[key]);
+      });
+      await area.set(values);
+    }).catch((error) => {
+      // Visit time and statistics are only written here, so a failed write
+      // must not go unnoticed
+      console.error(`Error saving ${keys.join(', ')}:`, error);
+    });
+  }
+
+  enqueue(task) {
+    const run = this.tail.then(() => task(this.area));
+    this.tail = run.catch(() => {});
+    return run;
+  }
+}
+
+// Single ledger for attributed time. Tab focus, window focus, heartbeats and
+// page visibility are all signals into it, and because it only ever holds one
+// open span, each second of wall time settles to at most one URL.
+class TimeLedger {
+  constructor(onSettle) {
+    this.current = null;
+    this.recent = [];
+    this.maxRecent = 50;
+    this.onSettle = onSettle;
+  }
+
+  isCurrent(tabId, url) {
+    if (!this.current || this.current.tabId !== tabId) return false;
+    return url === undefined || this.current.url === url;
+  }
+
+  // Starts attributing time to a tab/URL, settling whatever was open before.
+  // Returns false when that target already owns the open span.
+  open(target, signal, at = Date.now()) {
+    if (this.isCurrent(target.tabId, target.url)) {
+      this.confirm(target.tabId, target.url, signal, at);
+      if (target.title) this.current.title = target.title;
+      return false;
+    }
+
+    this.close(signal, at);
+    this.current = {
+      tabId: target.tabId,
+      url: target.url,
+      domain: target.domain,
+      title: target.title || '',
+      start: at,
+      lastSeen: at,
+      openedBy: signal,
+      confirmedBy: {}
+    };
+    return true;
+  }
+
+  // Heartbeats and repeated focus events only prove the open span is still live
+  confirm(tabId, url, signal, at = Date.now()) {
+    if (!this.isCurrent(tabId, url)) return false;
+    this.current.lastSeen = Math.max(this.current.lastSeen, at);
+    this.current.confirmedBy[signal] = (this.current.confirmedBy[signal] || 0) + 1;
+    return true;
+  }
+
+  close(signal, at = Date.now()) {
+    const span = this.current;
+    if (!span) return null;
+    this.current = null;
+
+    const settled = {
+      ...span,
+      end: Math.max(span.start, at),
+      closedBy: signal
+    };
+    this.recent.push({
+      tabId: settled.tabId,
+      url: settled.url,
+      domain: settled.domain,
+      start: settled.start,
+      end: settled.end,
+      openedBy: settled.openedBy,
+      closedBy: settled.closedBy,
+      confirmedBy: settled.confirmedBy
+    });
+    if (this.recent.length > this.maxRecent) {
+      this.recent.splice(0, this.recent.length - this.maxRecent);
+    }
+
+    if (settled.end - settled.start > 1000) { // Only track visits longer than 1 second
+      this.onSettle(settled);
+    }
+    return settled;
+  }
+
+  toJSON() {
+    return { current: this.current, recent: this.recent };
+  }
+
+  restore(state) {
+    this.current = state && state.current ? state.current : null;
+    this.recent = state && Array.isArray(state.recent) ? state.recent : [];
+  }
+}
+
 class UsageTracker {
   constructor() {
-    this.activeTabs = new Map();
-    this.sessionData = new Map();
+    this.storage = new StorageQueue(chrome.storage.local);
+    this.ledger = new TimeLedger(this.settleSpan.bind(this));
     this.isTrackingEnabled = true;
+    this.idleState = 'active';
+    this.idleThresholdSeconds = 60;
+    this.idleSpan = null;
+    this.dayStartHour = 0;
+    this.exclusionRules = [];
+    this.budgets = [];
+    this.focusRules = [];
+    this.badgeMode = 'site';
+    this.badgeUpdates = 0;
+    this.pausedDomains = {};
+    this.restored = null;
+    this.migrating = null;
+    this.syncEnabled = false;
+    this.syncing = null;
+    this.syncWrites = new Map();
+    this.backingUp = null;
     this.pomodoro = {
       mode: 'work',
       isRunning: false,
@@ -29,9 +446,234 @@ class UsageTracker {
     chrome.windows.onFocusChanged.addListener(this.handleWindowFocusChanged.bind(this));
     chrome.runtime.onStartup.addListener(this.handleStartup.bind(this));
     chrome.runtime.onInstalled.addListener(this.handleInstalled.bind(this));
+    if (chrome.idle && chrome.idle.onStateChanged) {
+      chrome.idle.onStateChanged.addListener(this.handleIdleStateChanged.bind(this));
+    }
+    // Write out batched counters before the worker or event page is unloaded
+    if (chrome.runtime.onSuspend) {
+      chrome.runtime.onSuspend.addListener(() => this.storage.flush());
+    }
     
-    // Initialize tracking for existing tabs
-    this.initializeExistingTabs();
+    // Restore in-flight state from before a service worker suspension,
+    // falling back to tracking the currently active tab
+    this.restored = this.restoreState();
+    this.restored.then(() => this.updateBadge());
+    this.scheduleCheckpoint();
+    this.setupContextMenus();
+    if (chrome.commands) {
+      chrome.commands.onCommand.addListener(this.handleCommand.bind(this));
+    }
+    if (chrome.omnibox) {
+      chrome.omnibox.onInputChanged.addListener(this.handleOmniboxInput.bind(this));
+      chrome.omnibox.onInputEntered.addListener(this.handleOmniboxEntered.bind(this));
+    }
+
+    // Pomodoro and task badges follow their state as soon as it changes
+    chrome.storage.onChanged.addListener((changes, area) => {
+      // Another device pushed settings, tasks or totals
+      if (area === 'sync' && this.syncEnabled && !this.isOwnSyncChange(changes)) {
+        this.scheduleSync();
+      }
+      if (area !== 'local') return;
+      if ((changes.pomodoro && this.badgeMode === 'pomodoro') || (changes.tasks && this.badgeMode === 'tasks')) {
+        this.updateBadge();
+      }
+    });
+  }
+
+  // chrome.storage.session survives service worker restarts but not browser
+  // restarts; older Firefox builds lack it, so fall back to local storage,
+  // written through the queue like every other local key
+  getStateArea() {
+    if (chrome.storage.session) return chrome.storage.session;
+    return this.storage;
+  }
+
+  async persistState() {
+    try {
+      const state = {
+        ledger: this.ledger.toJSON(),
+        idleState: this.idleState,
+        idleSpan: this.idleSpan,
+        checkpointAt: Date.now()
+      };
+      await this.getStateArea().set({ trackerState: state });
+    } catch (error) {
+      console.error('Error persisting tracker state:', error);
+    }
+  }
+
+  async restoreState() {
+    await this.loadTrackerSettings();
+
+    try {
+      const result = await this.getStateArea().get('trackerState');
+      const state = result.trackerState;
+      if (state) {
+        this.idleState = state.idleState || 'active';
+        this.idleSpan = state.idleSpan || null;
+        this.ledger.restore(state.ledger);
+
+        const span = this.ledger.current;
+        const endTime = span ? this.reconcileRestoredSpan(span, state.checkpointAt, Date.now()) : null;
+        if (endTime !== null) {
+          this.closeSpan('restore', endTime);
+          if (this.idleState === 'active') this.trackFocusedTab('restore');
+        }
+        return;
+      }
+    } catch (error) {
+      console.error('Error restoring tracker state:', error);
+    }
+
+    await this.initializeExistingTabs();
+  }
+
+  // Returns null when the restored span can keep running, otherwise the time
+  // it should be closed at. Nothing is known about the time since the last
+  // checkpoint, so at most one idle threshold of it is credited.
+  reconcileRestoredSpan(span, checkpointAt, now) {
+    const maxGap = this.idleThresholdSeconds * 1000;
+    const lastKnown = Math.max(span.start, span.lastSeen || span.start, checkpointAt || span.start);
+    if (now - lastKnown <= maxGap) return null;
+    return lastKnown + maxGap;
+  }
+
+  scheduleCheckpoint() {
+    if (!chrome.alarms) return;
+    chrome.alarms.get('tracker-checkpoint', (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create('tracker-checkpoint', { periodInMinutes: 1 });
+      }
+    });
+  }
+
+  async loadTrackerSettings() {
+    try {
+      const result = await this.storage.get(['settings', 'pausedDomains']);
+      const settings = result.settings || {};
+      this.pausedDomains = result.pausedDomains || {};
+      if (settings.trackingEnabled === false) {
+        this.isTrackingEnabled = false;
+      }
+      this.applyIdleThreshold(settings.idleThresholdSeconds);
+      this.applyDayStartHour(settings.dayStartHour);
+      this.applyExclusionRules(settings.excludedDomains);
+      this.applyBudgets(settings.budgets);
+      this.applyFocusBlocklist(settings.focusBlocklist);
+      this.applyBadgeMode(settings.badgeMode);
+      this.applySync(settings.syncEnabled);
+      this.applyBackupSchedule(settings.backupFrequency);
+    } catch (error) {
+      console.error('Error loading tracker settings:', error);
+    }
+  }
+
+  applyIdleThreshold(seconds) {
+    const value = parseInt(seconds, 10);
+    // chrome.idle rejects detection intervals below 15 seconds
+    this.idleThresholdSeconds = Number.isFinite(value) ? Math.max(15, value) : 60;
+    if (chrome.idle && chrome.idle.setDetectionInterval) {
+      chrome.idle.setDetectionInterval(this.idleThresholdSeconds);
+    }
+  }
+
+  applyDayStartHour(hour) {
+    const value = parseInt(hour, 10);
+    this.dayStartHour = Number.isFinite(value) && value >= 0 && value < 24 ? value : 0;
+  }
+
+  // Days are local calendar days that begin at dayStartHour, so with a 4am
+  // start anything before 4am still belongs to the previous day
+  getDayStart(ts = Date.now()) {
+    const d = new Date(ts);
+    if (d.getHours() < this.dayStartHour) {
+      d.setDate(d.getDate() - 1);
+    }
+    d.setHours(this.dayStartHour, 0, 0, 0);
+    return d.getTime();
+  }
+
+  getNextDayStart(dayStart) {
+    const d = new Date(dayStart);
+    d.setDate(d.getDate() + 1);
+    d.setHours(this.dayStartHour, 0, 0, 0);
+    return d.getTime();
+  }
+
+  getDayKey(ts = Date.now()) {
+    const d = new Date(this.getDayStart(ts));
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  // Cuts [start, end) at day boundaries so each piece is booked to its own day
+  splitByDay(start, end) {
+    const pieces = [];
+    let cursor = start;
+    while (cursor < end) {
+      const boundary = this.getNextDayStart(this.getDayStart(cursor));
+      const pieceEnd = Math.min(end, boundary);
+      pieces.push({ date: this.getDayKey(cursor), start: cursor, end: pieceEnd });
+      cursor = pieceEnd;
+    }
+    return pieces;
+  }
+
+  async handleIdleStateChanged(newState) {
+    await this.restored;
+    const previous = this.idleState;
+    this.idleState = newState;
+
+    if (newState === 'active') {
+      if (previous !== 'active') this.resumeFromIdle();
+    } else if (previous === 'active') {
+      this.pauseForIdle(newState);
+    }
+    this.persistState();
+  }
+
+  pauseForIdle(state) {
+    const now = Date.now();
+    // "idle" is only reported once the threshold has passed, so the user
+    // actually walked away that long ago. "locked" is reported immediately.
+    const idleStart = state === 'idle' ? now - this.idleThresholdSeconds * 1000 : now;
+
+    const span = this.ledger.current;
+    this.idleSpan = null;
+    if (span) {
+      const endTime = Math.max(span.start, idleStart);
+      this.idleSpan = {
+        domain: span.domain,
+        url: span.url,
+        startTime: endTime
+      };
+      this.closeSpan(state, endTime);
+    }
+  }
+
+  resumeFromIdle() {
+    const idleSpan = this.idleSpan;
+    this.idleSpan = null;
+
+    if (idleSpan && Date.now() - idleSpan.startTime > 1000) {
+      this.splitByDay(idleSpan.startTime, Date.now()).forEach((piece) => {
+        this.saveIdleData(idleSpan.domain, piece.end - piece.start, piece.date);
+      });
+    }
+
+    this.trackFocusedTab('idle');
+  }
+
+  trackFocusedTab(signal) {
+    try {
+      chrome.tabs.query({ active: true, lastFocusedWindow: true }, (tabs) => {
+        if (tabs && tabs[0]) {
+          this.openSpan(tabs[0], signal);
+        }
+      });
+    } catch {}
   }
 
   async initializeExistingTabs() {
@@ -39,278 +681,2941 @@ class UsageTracker {
       if (!chrome || !chrome.tabs || !chrome.tabs.query) return;
       const tabs = await chrome.tabs.query({});
       const activeTab = tabs.find(tab => tab.active);
-      if (activeTab && activeTab.url) {
-        this.startTrackingTab(activeTab.id, activeTab.url);
+      if (activeTab) {
+        this.openSpan(activeTab, 'startup');
+      }
+    } catch {}
+  }
+
+  isWindowFocused(windowId) {
+    return new Promise((resolve) => {
+      try {
+        chrome.windows.get(windowId, (win) => resolve(!!(win && win.focused)));
+      } catch {
+        resolve(false);
       }
+    });
+  }
+
+  async handleTabActivated(activeInfo) {
+    await this.restored;
+    try {
+      chrome.tabs.get(activeInfo.tabId, async (tab) => {
+        if (tab && await this.enforceFocusBlock(tab.id, tab.url)) return;
+        this.updateContextMenus(tab);
+        if (tab) {
+          this.openSpan(tab, 'tab-focus');
+        } else {
+          this.closeSpan('tab-focus');
+        }
+      });
     } catch {}
   }
 
-  handleTabActivated(activeInfo) {
-    this.stopTrackingAllTabs();
-    try {
-      chrome.tabs.get(activeInfo.tabId, (tab) => {
-        if (tab && tab.url) {
-          this.startTrackingTab(activeInfo.tabId, tab.url);
-        }
-      });
-    } catch {}
+  async handleTabUpdated(tabId, changeInfo, tab) {
+    await this.restored;
+    if (changeInfo.url && await this.enforceFocusBlock(tabId, changeInfo.url)) return;
+    if (changeInfo.url && tab.active) this.updateContextMenus(tab);
+    if (changeInfo.status === 'complete' && tab.url) {
+      // Background tabs finishing a load must not steal the open span
+      if (this.ledger.isCurrent(tabId) || (tab.active && !this.ledger.current && await this.isWindowFocused(tab.windowId))) {
+        this.openSpan(tab, 'tab-update');
+      }
+    } else if (changeInfo.title && this.ledger.isCurrent(tabId)) {
+      this.ledger.current.title = changeInfo.title;
+      this.persistState();
+    }
+  }
+
+  async handleTabRemoved(tabId) {
+    await this.restored;
+    if (this.ledger.isCurrent(tabId)) {
+      this.closeSpan('tab-removed');
+    }
+  }
+
+  async handleWindowFocusChanged(windowId) {
+    await this.restored;
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      this.closeSpan('window-focus');
+    } else {
+      chrome.tabs.query({ active: true, windowId }, (tabs) => {
+        if (tabs[0]) {
+          this.updateContextMenus(tabs[0]);
+          this.openSpan(tabs[0], 'window-focus');
+        }
+      });
+    }
+  }
+
+  async handleStartup() {
+    await this.runMigrations();
+    this.loadStoredData();
+    this.scheduleRetention();
+  }
+
+  async handleInstalled() {
+    await this.runMigrations();
+    this.loadStoredData();
+    this.setDefaultSettings();
+    this.scheduleRetention();
+  }
+
+  scheduleRetention() {
+    if (!chrome.alarms) return;
+    chrome.alarms.get('retention-prune', (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create('retention-prune', { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+      }
+    });
+    chrome.alarms.get('storage-check', (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create('storage-check', { delayInMinutes: 5, periodInMinutes: 60 });
+      }
+    });
+  }
+
+  async setDefaultSettings() {
+    try {
+      await this.storage.update('settings', (stored) => (
+        stored.settings ? null : { settings: { ...DEFAULT_SETTINGS } }
+      ));
+    } catch (error) {
+      console.error('Error setting default settings:', error);
+    }
+  }
+
+  // Routes a signal that some tab now has the user's attention into the ledger
+  openSpan(tab, signal, at = Date.now()) {
+    const url = tab && tab.url;
+    const domain = url ? this.extractDomain(url) : '';
+    if (!this.isTrackingEnabled || !url || this.idleState !== 'active' || this.isUrlExcluded(url) || this.isDomainPaused(domain)) {
+      this.closeSpan(signal, at);
+      return;
+    }
+
+    this.ledger.open({ tabId: tab.id, url, domain, title: tab.title }, signal, at);
+    this.updateBadge();
+    this.persistState();
+  }
+
+  closeSpan(signal, at = Date.now()) {
+    if (!this.ledger.current) return;
+    this.ledger.close(signal, at);
+    this.updateBadge();
+    this.persistState();
+  }
+
+  settleSpan(span) {
+    this.splitByDay(span.start, span.end).forEach((piece, index) => {
+      // A visit that runs past midnight adds time to both days, but is
+      // counted as a visit only on the day it started
+      this.saveVisitData(span.domain, piece.end - piece.start, span.url, piece.date, index === 0);
+      this.recordSession({
+        start: piece.start,
+        end: piece.end,
+        tabId: span.tabId,
+        url: span.url,
+        domain: span.domain,
+        title: span.title
+      });
+    });
+  }
+
+  async handlePageEvent(request, sender) {
+    await this.restored;
+    try {
+      const tab = sender && sender.tab;
+      if (!tab || !request.url) {
+        return { ok: false };
+      }
+
+      const page = { ...tab, url: request.url };
+      switch (request.event) {
+        case 'pageHidden':
+          if (this.ledger.isCurrent(tab.id)) this.closeSpan('visibility');
+          break;
+        case 'heartbeat':
+          if (this.ledger.confirm(tab.id, request.url, 'heartbeat')) {
+            this.persistState();
+            break;
+          }
+          // A heartbeat the ledger does not expect (missed focus event or an
+          // in-page navigation) can open the span if the tab really is focused
+          if (tab.active && await this.isWindowFocused(tab.windowId)) {
+            this.openSpan(page, 'heartbeat');
+          }
+          break;
+        case 'pageLoad':
+        case 'pageVisible':
+          if (tab.active && await this.isWindowFocused(tab.windowId)) {
+            this.openSpan(page, 'visibility');
+          }
+          break;
+        default:
+          break;
+      }
+
+      if (request.event === 'pageHidden' || this.isUrlExcluded(request.url)) {
+        return { ok: true };
+      }
+      return { ok: true, budget: await this.checkBudgets(this.extractDomain(request.url)) };
+    } catch {
+      return { ok: false };
+    }
+  }
+
+  getLedgerDebug() {
+    return {
+      current: this.ledger.current ? { ...this.ledger.current, end: Date.now() } : null,
+      spans: [...this.ledger.recent].reverse()
+    };
+  }
+
+  extractDomain(url) {
+    try {
+      // Handle special URLs like chrome://, chrome-extension://, about:, file://
+      if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
+          url.startsWith('about:') || url.startsWith('file://')) {
+        // Return the protocol part without trailing slash for consistency
+        if (url.startsWith('chrome://')) return 'chrome://';
+        if (url.startsWith('chrome-extension://')) return 'chrome-extension://';
+        if (url.startsWith('about:')) return 'about:';
+        if (url.startsWith('file://')) return 'file://';
+      }
+      
+      const urlObj = new URL(url);
+      return urlObj.hostname.replace('www.', '');
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  isDomainExcluded(domain) {
+    const excludedDomains = ['chrome://', 'chrome-extension://', 'about:', 'file://'];
+    return excludedDomains.some(excluded => domain.includes(excluded) || domain === '');
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  // Turns a user rule into matchers. Supported forms:
+  //   example.com        exact host (www. is ignored)
+  //   *.example.com      the host and all of its subdomains
+  //   example.com/path   a path prefix on that host
+  //   /pattern/flags     a regular expression tested against the full URL
+  //   chrome://          anything else with a scheme is a URL prefix
+  // matchesDomain is set only for rules that cover whole domains, which is
+  // what lets purging drop a domain's aggregates without URL detail.
+  compileExclusionRule(rule) {
+    const text = String(rule || '').trim();
+    if (!text) return null;
+
+    const regex = text.match(/^\/(.+)\/([imsu]*)$/);
+    if (regex) {
+      try {
+        const pattern = new RegExp(regex[1], regex[2]);
+        return { rule: text, type: 'regex', matchesUrl: (url) => pattern.test(url), matchesDomain: null };
+      } catch {
+        return null;
+      }
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(text)) {
+      return { rule: text, type: 'prefix', matchesUrl: (url) => url.startsWith(text), matchesDomain: null };
+    }
+
+    const lower = text.toLowerCase();
+    if (lower.startsWith('*.')) {
+      const base = lower.slice(2);
+      const matchesDomain = (domain) => domain === base || domain.endsWith(`.${base}`);
+      return { rule: text, type: 'wildcard', matchesUrl: (url) => matchesDomain(this.getHost(url)), matchesDomain };
+    }
+
+    const slash = lower.indexOf('/');
+    if (slash > 0) {
+      const host = lower.slice(0, slash).replace(/^www\./, '');
+      const path = text.slice(slash);
+      const matchesUrl = (url) => {
+        try {
+          const urlObj = new URL(url);
+          return this.getHost(url) === host && (urlObj.pathname + urlObj.search).startsWith(path);
+        } catch {
+          return false;
+        }
+      };
+      return { rule: text, type: 'path', matchesUrl, matchesDomain: null };
+    }
+
+    const host = lower.replace(/^www\./, '');
+    const matchesDomain = (domain) => domain === host;
+    return { rule: text, type: 'host', matchesUrl: (url) => matchesDomain(this.getHost(url)), matchesDomain };
+  }
+
+  applyExclusionRules(rules) {
+    this.exclusionRules = (Array.isArray(rules) ? rules : [])
+      .map((rule) => this.compileExclusionRule(rule))
+      .filter(Boolean);
+  }
+
+  // Returns the rule that excludes a URL, 'built-in' for browser-internal
+  // pages, or null when the URL is tracked
+  matchExclusionRule(url) {
+    if (this.isDomainExcluded(this.extractDomain(url))) return 'built-in';
+    const match = this.exclusionRules.find((compiled) => compiled.matchesUrl(url));
+    return match ? match.rule : null;
+  }
+
+  isUrlExcluded(url) {
+    return this.matchExclusionRule(url) !== null;
+  }
+
+  isDomainPaused(domain, now = Date.now()) {
+    return !!domain && (this.pausedDomains[domain] || 0) > now;
+  }
+
+  // Page and toolbar icon menus. Chrome keeps them across service worker
+  // restarts, but Firefox event pages need them rebuilt on every start.
+  setupContextMenus() {
+    if (!chrome.contextMenus) return;
+    const contexts = ['page', chrome.action ? 'action' : 'browser_action'];
+    chrome.contextMenus.removeAll(() => {
+      CONTEXT_MENU_ITEMS.forEach((item) => chrome.contextMenus.create({ ...item, contexts }));
+      this.restored.then(() => this.updateContextMenus());
+    });
+    chrome.contextMenus.onClicked.addListener(this.handleContextMenuClick.bind(this));
+  }
+
+  // Reflects the given (or focused) tab's site in the menu entries
+  async updateContextMenus(tab) {
+    if (!chrome.contextMenus) return;
+    try {
+      if (!tab) {
+        const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+        tab = tabs && tabs[0];
+      }
+      const url = tab && tab.url ? tab.url : '';
+      const web = /^https?:/i.test(url);
+      const domain = web ? this.extractDomain(url) : '';
+      const ownRule = this.exclusionRules.some((compiled) => compiled.rule === domain);
+      const excluded = web && this.isUrlExcluded(url);
+
+      // Excluded by a broader rule: only the settings editor can undo that
+      chrome.contextMenus.update('exclude-site', { checked: excluded, enabled: web && (!excluded || ownRule) });
+      chrome.contextMenus.update('pause-site', { checked: this.isDomainPaused(domain), enabled: web && !excluded });
+      chrome.contextMenus.update('add-task', { enabled: web });
+      chrome.contextMenus.update('show-stats', { enabled: web });
+    } catch (error) {
+      console.error('Error updating context menus:', error);
+    }
+  }
+
+  async handleContextMenuClick(info, tab) {
+    await this.restored;
+    const url = tab && tab.url ? tab.url : info.pageUrl;
+    if (!url || !/^https?:/i.test(url)) return;
+    const domain = this.extractDomain(url);
+
+    try {
+      switch (info.menuItemId) {
+        case 'exclude-site':
+          await this.setSiteExcluded(domain, info.checked);
+          break;
+        case 'pause-site':
+          await this.setSitePaused(domain, info.checked);
+          break;
+        case 'add-task':
+          await addTask({ text: (tab && tab.title) || url, url });
+          break;
+        case 'show-stats':
+          await chrome.tabs.create({ url: chrome.runtime.getURL(`src/popup.html?site=${encodeURIComponent(domain)}`) });
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling context menu click:', error);
+    }
+    this.updateContextMenus(tab);
+  }
+
+  // Keyboard shortcuts declared under "commands" in both manifests
+  async handleCommand(command) {
+    await this.restored;
+    try {
+      switch (command) {
+        case 'toggle-pomodoro': {
+          const { pomodoro } = await this.storage.get('pomodoro');
+          const state = pomodoro && pomodoro.isRunning ? await pausePomodoro() : await startPomodoro();
+          const minutes = Math.ceil(getPomodoroRemaining(state) / 60000);
+          this.notify('command-feedback', state.isRunning ? 'Pomodoro running' : 'Pomodoro paused',
+            `${state.mode === 'break' ? 'Break' : 'Work'}: ${minutes} min left`);
+          break;
+        }
+        case 'toggle-tracking': {
+          const enabled = !this.isTrackingEnabled;
+          await this.setTrackingEnabled(enabled);
+          this.notify('command-feedback', enabled ? 'Tracking resumed' : 'Tracking paused',
+            enabled ? 'Browsing time is being tracked again.' : 'Nothing is tracked until you resume.');
+          break;
+        }
+        case 'quick-add-task': {
+          const tabs = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+          const tab = tabs && tabs[0];
+          if (!tab || !/^https?:/i.test(tab.url || '')) {
+            this.notify('command-feedback', 'Nothing to add', 'Only web pages can be added as tasks.');
+            break;
+          }
+          await addTask({ text: tab.title || tab.url, url: tab.url });
+          this.flashBadge('+1', BADGE_COLORS.break);
+          break;
+        }
+        case 'open-dashboard':
+          await chrome.tabs.create({ url: chrome.runtime.getURL('src/popup.html') });
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      console.error('Error handling command:', error);
+    }
+  }
+
+  // "ut <domain>" looks up time, "ut task <text> [when]" adds a task and
+  // "ut focus <minutes>" starts a work session
+  parseOmniboxInput(input) {
+    const text = String(input || '').trim();
+    const task = text.match(/^task\s+(.+)$/i);
+    if (task) return { type: 'task', ...this.parseDueText(task[1]) };
+    const focus = text.match(/^focus(?:\s+(\d+))?\s*$/i);
+    if (focus) return { type: 'focus', minutes: Math.min(180, Math.max(1, parseInt(focus[1], 10) || 25)) };
+    return { type: 'site', query: text.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0] };
+  }
+
+  // Pulls a trailing due date off a task: "tomorrow 9am", "fri 17:30",
+  // "tonight", "in 2h". Times need am/pm or a colon so "buy 2" stays text.
+  parseDueText(input, now = Date.now()) {
+    let text = String(input || '').trim();
+    const relative = text.match(/\s+in\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/i);
+    if (relative) {
+      const unit = relative[2][0].toLowerCase();
+      const factor = unit === 'm' ? 60000 : unit === 'h' ? 3600000 : 86400000;
+      return { text: text.slice(0, relative.index).trim(), dueAt: now + parseInt(relative[1], 10) * factor };
+    }
+
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    let time = null;
+    let day = null;
+    for (let i = 0; i < 2; i++) {
+      const clock = !time && text.match(/(?:\s+at)?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+      if (clock && (clock[2] || clock[3])) {
+        let hours = parseInt(clock[1], 10) % (clock[3] ? 12 : 24);
+        if (clock[3] && clock[3].toLowerCase() === 'pm') hours += 12;
+        time = { hours, minutes: parseInt(clock[2] || '0', 10) };
+        text = text.slice(0, clock.index);
+        continue;
+      }
+      const word = !day && text.match(/\s+([a-z]+)$/i);
+      const name = word ? word[1].toLowerCase() : '';
+      if (['today', 'tonight', 'tomorrow'].includes(name) || (name.length >= 3 && days.some((d) => d.startsWith(name)))) {
+        day = name;
+        text = text.slice(0, word.index);
+        continue;
+      }
+      break;
+    }
+    if (!time && !day) return { text: String(input || '').trim(), dueAt: null };
+
+    const due = new Date(now);
+    if (day === 'tomorrow') {
+      due.setDate(due.getDate() + 1);
+    } else if (day && day !== 'today' && day !== 'tonight') {
+      const target = days.findIndex((name) => name.startsWith(day));
+      due.setDate(due.getDate() + (((target - due.getDay() + 7) % 7) || 7));
+    }
+    const fallback = day === 'tonight' ? { hours: 20, minutes: 0 } : { hours: 9, minutes: 0 };
+    const at = time || fallback;
+    due.setHours(at.hours, at.minutes, 0, 0);
+    // A bare time that already passed today means tomorrow
+    if (!day && due.getTime() <= now) due.setDate(due.getDate() + 1);
+    return { text: text.trim(), dueAt: due.getTime() };
+  }
+
+  formatDuration(milliseconds) {
+    const minutes = Math.floor(milliseconds / 60000);
+    const hours = Math.floor(minutes / 60);
+    if (hours > 0) return `${hours}h ${minutes % 60}m`;
+    if (minutes > 0) return `${minutes}m`;
+    return '<1m';
+  }
+
+  // Chrome reads omnibox descriptions as XML, Firefox as plain text
+  escapeOmnibox(text) {
+    if (typeof browser !== 'undefined') return text;
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  async handleOmniboxInput(input, suggest) {
+    const parsed = this.parseOmniboxInput(input);
+    const setDefault = (description) => {
+      chrome.omnibox.setDefaultSuggestion({ description: this.escapeOmnibox(description) });
+    };
+
+    if (parsed.type === 'task') {
+      const due = parsed.dueAt ? ` (due ${new Date(parsed.dueAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })})` : '';
+      setDefault(`Add task: ${parsed.text || '…'}${due}`);
+      suggest([]);
+      return;
+    }
+    if (parsed.type === 'focus') {
+      setDefault(`Start a ${parsed.minutes}-minute focus session`);
+      suggest([]);
+      return;
+    }
+
+    setDefault(parsed.query ? `Show stats for ${parsed.query}` : 'Type a site, "task <text> [when]" or "focus <minutes>"');
+    if (!parsed.query) {
+      suggest([]);
+      return;
+    }
+    try {
+      // Same buckets as getDailyStats, for today and the last 7 days
+      const week = {};
+      let cursor = this.getDayStart();
+      const today = this.getDayKey(cursor);
+      let todayStats = {};
+      for (let i = 0; i < 7; i++) {
+        const date = this.getDayKey(cursor);
+        const stats = await this.getDailyStats(date);
+        if (date === today) todayStats = stats;
+        Object.entries(stats).forEach(([domain, site]) => {
+          week[domain] = (week[domain] || 0) + (site.totalTime || 0);
+        });
+        cursor = this.getDayStart(cursor - 1);
+      }
+
+      const matches = Object.keys(week)
+        .filter((domain) => domain.includes(parsed.query))
+        .sort((a, b) => week[b] - week[a])
+        .slice(0, 5);
+      suggest(matches.map((domain) => ({
+        content: domain,
+        description: this.escapeOmnibox(`${domain} — today ${this.formatDuration(todayStats[domain] ? todayStats[domain].totalTime || 0 : 0)}, last 7 days ${this.formatDuration(week[domain])}`)
+      })));
+    } catch (error) {
+      console.error('Error building omnibox suggestions:', error);
+      suggest([]);
+    }
+  }
+
+  async handleOmniboxEntered(input, disposition) {
+    const parsed = this.parseOmniboxInput(input);
+    try {
+      if (parsed.type === 'task') {
+        if (!parsed.text) return;
+        // Same path as the popup's tasks:add message
+        await addTask({ text: parsed.text, dueAt: parsed.dueAt });
+        this.notify('command-feedback', 'Task added', parsed.text);
+      } else if (parsed.type === 'focus') {
+        const { pomodoro } = await this.storage.get('pomodoro');
+        if (pomodoro && pomodoro.focusSession) {
+          await this.logFocusSession(pomodoro.focusSession, false);
+        }
+        await startPomodoro({ mode: 'work', focusSession: null }, parsed.minutes * 60000);
+        this.notify('command-feedback', 'Focus session started', `${parsed.minutes} minutes of work. Blocked sites stay closed until then.`);
+      } else if (parsed.query) {
+        const url = chrome.runtime.getURL(`src/popup.html?site=${encodeURIComponent(parsed.query)}`);
+        if (disposition === 'currentTab') {
+          await chrome.tabs.update({ url });
+        } else {
+          await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+        }
+      }
+    } catch (error) {
+      console.error('Error handling omnibox input:', error);
+    }
+  }
+
+  notify(id, title, message) {
+    if (!chrome.notifications) return;
+    chrome.notifications.create(id, { type: 'basic', iconUrl: 'icons/icon128.png', title, message });
+  }
+
+  // Shows a short confirmation on the badge, then goes back to the normal mode
+  flashBadge(text, color) {
+    const update = ++this.badgeUpdates;
+    chrome.action.setBadgeText({ text });
+    chrome.action.setBadgeBackgroundColor({ color });
+    setTimeout(() => {
+      if (update === this.badgeUpdates) this.updateBadge();
+    }, 2000);
+  }
+
+  // Persisted so the popup and the next service worker agree on the state
+  async setTrackingEnabled(enabled) {
+    this.isTrackingEnabled = enabled;
+    if (enabled) {
+      this.trackFocusedTab('tracking-toggle');
+    } else {
+      this.closeSpan('tracking-toggle');
+    }
+    await this.storage.update('settings', (result) => ({
+      settings: { ...(result.settings || {}), trackingEnabled: enabled }
+    }));
+  }
+
+  async setSiteExcluded(domain, excluded) {
+    let rules = [];
+    await this.storage.update(['settings', 'settingsClock'], (result) => {
+      const settings = result.settings || {};
+      rules = (settings.excludedDomains || []).filter((rule) => rule !== domain);
+      if (excluded) rules.push(domain);
+      const next = { ...settings, excludedDomains: rules };
+      return { settings: next, settingsClock: this.stampSettingsClock(result.settingsClock, settings, next) };
+    });
+    this.applyExclusionRules(rules);
+    this.scheduleSync();
+    this.trackFocusedTab('settings');
+  }
+
+  async setSitePaused(domain, paused) {
+    const now = Date.now();
+    // Drop expired pauses while we are here
+    const pausedDomains = {};
+    Object.entries(this.pausedDomains).forEach(([site, until]) => {
+      if (until > now && site !== domain) pausedDomains[site] = until;
+    });
+    if (paused) {
+      pausedDomains[domain] = now + SITE_PAUSE_MS;
+      chrome.alarms.create(`site-pause-${domain}`, { when: pausedDomains[domain] });
+    } else {
+      chrome.alarms.clear(`site-pause-${domain}`);
+    }
+    this.pausedDomains = pausedDomains;
+    await this.storage.set({ pausedDomains });
+    this.trackFocusedTab('settings');
+  }
+
+  // Removes already-recorded data that matches the given rules from the
+  // daily buckets, session logs, monthly roll-ups and all-time statistics
+  async purgeExcludedData(rules) {
+    try {
+      const compiled = (rules || []).map((rule) => this.compileExclusionRule(rule)).filter(Boolean);
+      if (compiled.length === 0) return { removedTime: 0, removedSessions: 0 };
+
+      const matchesDomain = (domain) => compiled.some((c) => c.matchesDomain && c.matchesDomain(domain));
+      const matchesUrl = (url) => compiled.some((c) => c.matchesUrl(url));
+
+      return await this.storage.exclusive(async (area) => {
+        const all = await area.get(null);
+        const updates = {};
+        const removedDomains = new Set();
+        const removedUrlTime = {};
+        const removedUrlVisits = {};
+        let removedTime = 0;
+        let removedSessions = 0;
+
+        Object.keys(all).forEach((key) => {
+          if (/^visits_\d{4}-\d{2}-\d{2}$/.test(key)) {
+            const visits = all[key] || {};
+            let changed = false;
+            Object.entries(visits).forEach(([domain, entry]) => {
+              if (matchesDomain(domain)) {
+                removedDomains.add(domain);
+                removedTime += entry.totalTime || 0;
+                delete visits[domain];
+                changed = true;
+                return;
+              }
+              Object.entries(entry.urls || {}).forEach(([url, ms]) => {
+                if (!matchesUrl(url)) return;
+                entry.totalTime = Math.max(0, (entry.totalTime || 0) - ms);
+                removedUrlTime[domain] = (removedUrlTime[domain] || 0) + ms;
+                removedTime += ms;
+                delete entry.urls[url];
+                changed = true;
+              });
+              if (entry.totalTime <= 0 && Object.keys(entry.urls || {}).length === 0) {
+                // Visits are not kept per URL, so they go with the last page
+                removedUrlVisits[domain] = (removedUrlVisits[domain] || 0) + (entry.visitCount || 0);
+                delete visits[domain];
+              }
+            });
+            if (changed) updates[key] = visits;
+          } else if (/^sessions_\d{4}-\d{2}-\d{2}$/.test(key)) {
+            const sessions = all[key] || [];
+            const kept = sessions.filter((session) => !matchesDomain(session.domain) && !matchesUrl(session.url));
+            if (kept.length !== sessions.length) {
+              removedSessions += sessions.length - kept.length;
+              updates[key] = kept;
+            }
+          } else if (key.startsWith('monthly_')) {
+            const summary = all[key];
+            let changed = false;
+            Object.entries(summary.domains || {}).forEach(([domain, entry]) => {
+              if (!matchesDomain(domain)) return;
+              summary.totalTime -= entry.totalTime || 0;
+              summary.totalVisits -= entry.visitCount || 0;
+              delete summary.domains[domain];
+              changed = true;
+            });
+            if (changed) updates[key] = summary;
+          }
+        });
+
+        const stats = all.statistics;
+        if (stats && stats.domains) {
+          Object.keys(stats.domains).forEach((domain) => {
+            const entry = stats.domains[domain];
+            if (matchesDomain(domain) || removedDomains.has(domain)) {
+              stats.totalTime -= entry.totalTime || 0;
+              stats.totalVisits -= entry.visitCount || 0;
+              delete stats.domains[domain];
+            } else if (removedUrlTime[domain]) {
+              const ms = Math.min(entry.totalTime || 0, removedUrlTime[domain]);
+              const count = Math.min(entry.visitCount || 0, removedUrlVisits[domain] || 0);
+              entry.totalTime -= ms;
+              entry.visitCount = (entry.visitCount || 0) - count;
+              stats.totalTime -= ms;
+              stats.totalVisits -= count;
+              if (entry.totalTime <= 0 && entry.visitCount <= 0) delete stats.domains[domain];
+            }
+          });
+          stats.totalTime = Math.max(0, stats.totalTime);
+          stats.totalVisits = Math.max(0, stats.totalVisits);
+          stats.lastUpdated = Date.now();
+          updates.statistics = stats;
+        }
+
+        await area.set(updates);
+        return { removedTime, removedSessions };
+      });
+    } catch (error) {
+      console.error('Error purging excluded data:', error);
+      return { removedTime: 0, removedSessions: 0, error: error.message };
+    }
+  }
+
+  // The counter writes below are batched by the storage queue, so a burst of
+  // settled spans costs one storage write rather than a read and write each
+  saveVisitData(domain, duration, url, date = this.getDayKey(), countVisit = true) {
+    this.storage.increment(`visits_${date}`, (visits = {}) => {
+      if (!visits[domain]) {
+        visits[domain] = {
+          totalTime: 0,
+          visitCount: 0,
+          idleTime: 0,
+          urls: {}
+        };
+      }
+
+      visits[domain].totalTime += duration;
+      visits[domain].visitCount += countVisit ? 1 : 0;
+
+      if (!visits[domain].urls[url]) {
+        visits[domain].urls[url] = 0;
+      }
+      visits[domain].urls[url] += duration;
+      return visits;
+    });
+
+    // Update real-time statistics
+    this.updateStatistics(domain, duration, countVisit);
+  }
+
+  // Appends a tracked span to the sessions_YYYY-MM-DD log of its day
+  recordSession(session) {
+    this.storage.increment(`sessions_${this.getDayKey(session.start)}`, (sessions = []) => {
+      sessions.push(session);
+      return sessions;
+    });
+  }
+
+  // Idle time only annotates a site already tracked that day; a row of its
+  // own would list the site with no time in it
+  saveIdleData(domain, duration, date = this.getDayKey()) {
+    this.storage.increment(`visits_${date}`, (visits = {}) => {
+      if (!visits[domain]) return visits;
+
+      visits[domain].idleTime = (visits[domain].idleTime || 0) + duration;
+      return visits;
+    });
+  }
+
+  updateStatistics(domain, duration, countVisit = true) {
+    this.storage.increment('statistics', (stored) => {
+      const stats = stored || {
+        totalTime: 0,
+        totalVisits: 0,
+        domains: {},
+        lastUpdated: Date.now()
+      };
+
+      stats.totalTime += duration;
+      stats.totalVisits += countVisit ? 1 : 0;
+      stats.lastUpdated = Date.now();
+
+      if (!stats.domains[domain]) {
+        stats.domains[domain] = {
+          totalTime: 0,
+          visitCount: 0
+        };
+      }
+
+      stats.domains[domain].totalTime += duration;
+      stats.domains[domain].visitCount += countVisit ? 1 : 0;
+      return stats;
+    });
+  }
+
+  applyBadgeMode(mode) {
+    this.badgeMode = BADGE_MODES.includes(mode) ? mode : 'site';
+  }
+
+  // Badges have room for about four characters
+  formatBadgeTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 10) return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+    return `${hours}h`;
+  }
+
+  // Works out the badge for the current mode from stored state only, so the
+  // checkpoint alarm can refresh it after a service worker restart
+  async getBadge(now = Date.now()) {
+    switch (this.badgeMode) {
+      case 'site': {
+        const span = this.ledger.current;
+        if (!span) return { text: '' };
+        const config = await this.getCategoryConfig();
+        const dailyStats = await this.getDailyStats(this.getDayKey(now));
+        const used = this.getTimeToday(dailyStats, (domain) => domain === span.domain, now);
+        let color = BADGE_COLORS.default;
+        this.budgets.filter((budget) => this.budgetMatches(budget, span.domain, config)).forEach((budget) => {
+          const limit = this.getBudgetLimit(budget);
+          if (limit === null) return;
+          const budgetUsed = this.getBudgetUsage(budget, dailyStats, config, now);
+          if (budgetUsed >= limit) {
+            color = BADGE_COLORS.over;
+          } else if (budgetUsed >= limit * 0.8 && color !== BADGE_COLORS.over) {
+            color = BADGE_COLORS.warn;
+          }
+        });
+        return { text: this.formatBadgeTime(used), color };
+      }
+      case 'total': {
+        const result = await this.storage.get('settings');
+        const goal = this.getGoalSettings(result.settings);
+        const total = this.getTimeToday(await this.getDailyStats(this.getDayKey(now)), () => true, now);
+        let color = BADGE_COLORS.default;
+        if (goal.type === 'max' && total > goal.goalMs) {
+          color = BADGE_COLORS.over;
+        } else if (goal.type === 'max' && total >= goal.goalMs * 0.8) {
+          color = BADGE_COLORS.warn;
+        }
+        return { text: this.formatBadgeTime(total), color };
+      }
+      case 'pomodoro': {
+        const { pomodoro } = await this.storage.get('pomodoro');
+        if (!pomodoro || (!pomodoro.isRunning && !pomodoro.focusSession)) return { text: '' };
+        const minutes = Math.ceil(getPomodoroRemaining(pomodoro) / 60000);
+        let color = pomodoro.mode === 'break' ? BADGE_COLORS.break : BADGE_COLORS.work;
+        if (!pomodoro.isRunning) color = BADGE_COLORS.paused;
+        return { text: `${minutes}m`, color };
+      }
+      case 'tasks': {
+        const { tasks } = await this.storage.get('tasks');
+        const open = (tasks || []).filter((task) => !task.done);
+        if (open.length === 0) return { text: '' };
+        const overdue = open.some((task) => task.dueAt && task.dueAt < now);
+        return { text: String(open.length), color: overdue ? BADGE_COLORS.over : BADGE_COLORS.default };
+      }
+      default:
+        return { text: '' };
+    }
+  }
+
+  async updateBadge() {
+    // Only the latest of overlapping refreshes gets to paint the badge
+    const update = ++this.badgeUpdates;
+    try {
+      const badge = await this.getBadge();
+      if (update !== this.badgeUpdates) return;
+      chrome.action.setBadgeText({ text: badge.text });
+      if (badge.color) {
+        chrome.action.setBadgeBackgroundColor({ color: badge.color });
+      }
+    } catch (error) {
+      console.error('Error updating badge:', error);
+    }
+  }
+
+  // Rolls daily buckets that fall outside the retention window into
+  // monthly_YYYY-MM aggregates and removes them
+  async pruneOldData() {
+    try {
+      const result = await this.storage.exclusive(async (area) => {
+        const all = await area.get(null);
+        const settings = all.settings || {};
+        const retentionDays = Math.max(1, parseInt(settings.dataRetentionDays, 10) || 30);
+
+        const cutoff = new Date(this.getDayStart());
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+        const cutoffDate = this.getDayKey(cutoff.getTime());
+
+        const expired = Object.keys(all).filter((key) => {
+          return /^visits_\d{4}-\d{2}-\d{2}$/.test(key) && key.slice('visits_'.length) < cutoffDate;
+        });
+        // Session logs carry URLs and titles, so they expire without a roll-up
+        const expiredSessions = Object.keys(all).filter((key) => {
+          return /^sessions_\d{4}-\d{2}-\d{2}$/.test(key) && key.slice('sessions_'.length) < cutoffDate;
+        });
+        if (expiredSessions.length > 0) {
+          await area.remove(expiredSessions);
+        }
+        // Budget and focus logs only matter for their own day
+        const expiredLogs = Object.keys(all).filter((key) => {
+          const match = key.match(/^(budgets|focus)_(\d{4}-\d{2}-\d{2})$/);
+          return match && match[2] < cutoffDate;
+        });
+        if (expiredLogs.length > 0) {
+          await area.remove(expiredLogs);
+        }
+        if (expired.length === 0) return { removed: 0 };
+
+        const monthly = {};
+        expired.forEach((key) => {
+          const date = key.slice('visits_'.length);
+          const monthKey = `monthly_${date.slice(0, 7)}`;
+          const summary = monthly[monthKey] || all[monthKey] || {
+            days: [],
+            totalTime: 0,
+            totalVisits: 0,
+            domains: {}
+          };
+          monthly[monthKey] = this.rollUpDay(summary, date, all[key] || {});
+        });
+
+        // Write the roll-ups first so a failed removal never loses data
+        await area.set(monthly);
+        await area.remove(expired);
+        return { removed: expired.length };
+      });
+      if (result.removed > 0) {
+        await this.rebuildStatistics('retention pruning');
+      }
+      return result;
+    } catch (error) {
+      console.error('Error pruning old data:', error);
+      return { removed: 0 };
+    }
+  }
+
+  rollUpDay(summary, date, visits) {
+    // A day already folded in (e.g. removal failed last run) must not count twice
+    if (summary.days.includes(date)) return summary;
+
+    summary.days.push(date);
+    summary.days.sort();
+
+    Object.entries(visits).forEach(([domain, stats]) => {
+      if (!summary.domains[domain]) {
+        summary.domains[domain] = {
+          totalTime: 0,
+          visitCount: 0,
+          idleTime: 0
+        };
+      }
+      const entry = summary.domains[domain];
+      entry.totalTime += stats.totalTime || 0;
+      entry.visitCount += stats.visitCount || 0;
+      entry.idleTime += stats.idleTime || 0;
+      summary.totalTime += stats.totalTime || 0;
+      summary.totalVisits += stats.visitCount || 0;
+    });
+
+    return summary;
+  }
+
+  // Same accounting as chrome.storage: key plus JSON value, in UTF-8 bytes
+  measureItem(key, value) {
+    const encoder = new TextEncoder();
+    return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+  }
+
+  // Firefox has no getBytesInUse for local storage, so it gets the estimate
+  async getBytesInUse() {
+    if (typeof chrome.storage.local.getBytesInUse === 'function') {
+      await this.storage.flush();
+      return chrome.storage.local.getBytesInUse(null);
+    }
+    const all = await this.storage.get(null);
+    return Object.entries(all).reduce((sum, [key, value]) => sum + this.measureItem(key, value), 0);
+  }
+
+  getUrlsPerDomain(settings) {
+    return Math.max(1, parseInt(settings && settings.urlsPerDomain, 10) || DEFAULT_URLS_PER_DOMAIN);
+  }
+
+  // Bytes used per key family plus the largest days and sites
+  async getStorageReport() {
+    try {
+      const all = await this.storage.get(null);
+      const families = {};
+      const days = [];
+      const domains = {};
+      Object.entries(all).forEach(([key, value]) => {
+        const bytes = this.measureItem(key, value);
+        const { family } = STORAGE_FAMILIES.find((entry) => entry.pattern.test(key)) || { family: 'other' };
+        if (!families[family]) families[family] = { family, bytes: 0, keys: 0 };
+        const summary = families[family];
+        summary.bytes += bytes;
+        summary.keys++;
+
+        const match = key.match(/^visits_(\d{4}-\d{2}-\d{2})$/);
+        if (!match) return;
+        let urls = 0;
+        Object.entries(value || {}).forEach(([domain, entry]) => {
+          const count = Object.keys(entry.urls || {}).length;
+          if (!domains[domain]) domains[domain] = { domain, bytes: 0, urls: 0, days: 0 };
+          const site = domains[domain];
+          site.bytes += this.measureItem(domain, entry);
+          site.urls += count;
+          site.days++;
+          urls += count;
+        });
+        days.push({ date: match[1], bytes, domains: Object.keys(value || {}).length, urls });
+      });
+
+      const bytesInUse = await this.getBytesInUse();
+      const bySize = (a, b) => b.bytes - a.bytes;
+      return {
+        success: true,
+        bytesInUse,
+        quotaBytes: STORAGE_QUOTA_BYTES,
+        nearQuota: bytesInUse >= STORAGE_QUOTA_BYTES * STORAGE_WARN_RATIO,
+        families: Object.values(families).sort(bySize),
+        largestDays: days.sort(bySize).slice(0, STORAGE_REPORT_TOP),
+        largestDomains: Object.values(domains).sort(bySize).slice(0, STORAGE_REPORT_TOP),
+        autoCompactUrls: !!(all.settings && all.settings.autoCompactUrls),
+        urlsPerDomain: this.getUrlsPerDomain(all.settings)
+      };
+    } catch (error) {
+      console.error('Error building storage report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Keeps the `keep` longest-viewed URLs of each site per day and folds the
+  // rest into one OTHER_PAGES_URL entry. Site and day totals do not change.
+  async compactUrls(keep) {
+    try {
+      return await this.storage.exclusive(async (area) => {
+        const all = await area.get(null);
+        const limit = keep ? Math.max(1, parseInt(keep, 10) || 1) : this.getUrlsPerDomain(all.settings);
+        const updates = {};
+        const domains = new Set();
+        let urlsRemoved = 0;
+        let bytesSaved = 0;
+
+        Object.keys(all).forEach((key) => {
+          if (!/^visits_\d{4}-\d{2}-\d{2}$/.test(key)) return;
+          const visits = all[key] || {};
+          const before = this.measureItem(key, visits);
+          let changed = false;
+          Object.entries(visits).forEach(([domain, entry]) => {
+            const compacted = this.compactUrlMap(entry.urls, limit);
+            if (!compacted) return;
+            entry.urls = compacted.urls;
+            urlsRemoved += compacted.removed;
+            domains.add(domain);
+            changed = true;
+          });
+          if (!changed) return;
+          updates[key] = visits;
+          bytesSaved += before - this.measureItem(key, visits);
+        });
+
+        if (Object.keys(updates).length > 0) {
+          await area.set(updates);
+        }
+        return { success: true, days: Object.keys(updates).length, domains: domains.size, urlsRemoved, bytesSaved };
+      });
+    } catch (error) {
+      console.error('Error compacting URLs:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  compactUrlMap(urls, limit) {
+    const entries = Object.entries(urls || {}).filter(([url]) => url !== OTHER_PAGES_URL);
+    if (entries.length <= limit) return null;
+    entries.sort((a, b) => b[1] - a[1]);
+    const rest = entries.slice(limit);
+    const compacted = Object.fromEntries(entries.slice(0, limit));
+    compacted[OTHER_PAGES_URL] = ((urls && urls[OTHER_PAGES_URL]) || 0) + rest.reduce((sum, [, ms]) => sum + ms, 0);
+    return { urls: compacted, removed: rest.length };
+  }
+
+  // Runs hourly. Near the quota it compacts URL maps (if allowed) and, if that
+  // is not enough, notifies once per day.
+  async checkStorageQuota() {
+    try {
+      const limit = STORAGE_QUOTA_BYTES * STORAGE_WARN_RATIO;
+      let bytesInUse = await this.getBytesInUse();
+      if (bytesInUse < limit) return { bytesInUse, compacted: null };
+
+      const { settings, storageWarning } = await this.storage.get(['settings', 'storageWarning']);
+      let compacted = null;
+      if (settings && settings.autoCompactUrls) {
+        compacted = await this.compactUrls();
+        bytesInUse = await this.getBytesInUse();
+      }
+
+      const today = this.getDayKey();
+      if (bytesInUse >= limit && (!storageWarning || storageWarning.date !== today)) {
+        await this.storage.set({ storageWarning: { date: today, bytesInUse } });
+        this.notify(
+          'storage-quota',
+          'Storage almost full',
+          `Tracked data uses ${Math.round(bytesInUse / STORAGE_QUOTA_BYTES * 100)}% of the available space. Compact page lists or keep fewer days in Settings.`
+        );
+      }
+      return { bytesInUse, compacted };
+    } catch (error) {
+      console.error('Error checking storage quota:', error);
+      return null;
+    }
+  }
+
+  // Upgrades a storage snapshot (live data or an imported export) to
+  // SCHEMA_VERSION. Throws if a step fails or the snapshot is from a newer
+  // version of the extension; the input is never modified.
+  migrateSnapshot(snapshot) {
+    const from = snapshot.schemaVersion || 0;
+    if (from > SCHEMA_VERSION) {
+      throw new Error(`Data is from a newer version (schema ${from}, this version reads up to ${SCHEMA_VERSION})`);
+    }
+    let data = JSON.parse(JSON.stringify(snapshot));
+    MIGRATIONS.filter((migration) => migration.version > from).forEach((migration) => {
+      data = migration.up(data, this);
+      data.schemaVersion = migration.version;
+    });
+    data.schemaVersion = SCHEMA_VERSION;
+    return data;
+  }
+
+  // Runs pending migrations on chrome.storage.local. The whole store is
+  // copied to schemaBackup first; if writing the result fails, or the worker
+  // died mid-migration last time, the backup is put back.
+  runMigrations() {
+    if (!this.migrating) {
+      this.migrating = this.restored.then(async () => {
+        const result = await this.migrateStorage();
+        if (result.success && result.to !== result.from) {
+          await this.rebuildStatistics('migration');
+        }
+        return result;
+      }).finally(() => {
+        this.migrating = null;
+      });
+    }
+    return this.migrating;
+  }
+
+  async migrateStorage() {
+    return this.storage.exclusive(async (area) => {
+      let all;
+      try {
+        all = await area.get(null);
+        if (all.schemaBackup) {
+          await this.restoreSchemaBackup(area, all.schemaBackup);
+          all = all.schemaBackup.data;
+        }
+      } catch (error) {
+        console.error('Error reading storage for migration:', error);
+        return { success: false, error: error.message };
+      }
+
+      const from = all.schemaVersion || 0;
+      if (from >= SCHEMA_VERSION) return { success: true, from, to: from };
+
+      let migrated;
+      try {
+        migrated = this.migrateSnapshot(all);
+      } catch (error) {
+        // Nothing has been written yet, so the stored data is untouched
+        console.error('Migration failed, keeping schema version', from, error);
+        return { success: false, from, error: error.message };
+      }
+
+      try {
+        await area.set({ schemaBackup: { version: from, createdAt: Date.now(), data: all } });
+      } catch (error) {
+        console.error('Could not back up storage, skipping migration:', error);
+        return { success: false, from, error: error.message };
+      }
+
+      try {
+        const removed = Object.keys(all).filter((key) => !(key in migrated));
+        if (removed.length > 0) await area.remove(removed);
+        await area.set(migrated);
+        await area.remove('schemaBackup');
+        return { success: true, from, to: SCHEMA_VERSION };
+      } catch (error) {
+        console.error('Migration write failed, rolling back:', error);
+        await this.restoreSchemaBackup(area, { data: all });
+        return { success: false, from, error: error.message };
+      }
+    });
+  }
+
+  async restoreSchemaBackup(area, backup) {
+    try {
+      await area.clear();
+      await area.set(backup.data);
+    } catch (error) {
+      console.error('Error restoring storage backup:', error);
+    }
+  }
+
+  // Sessions carry timestamps, so they are re-filed exactly. Old visit
+  // buckets were keyed by the UTC date at save time (the end of each span);
+  // a domain's totals are spread over local days in proportion to its
+  // session time, and stay on their original date when there is none.
+  rebucketData(all) {
+    const visits = {};
+    const sessions = {};
+    const shares = {};
+
+    Object.keys(all).forEach((key) => {
+      if (!/^sessions_\d{4}-\d{2}-\d{2}$/.test(key)) return;
+      (all[key] || []).forEach((session) => {
+        const savedOn = new Date(session.end).toISOString().split('T')[0];
+        this.splitByDay(session.start, session.end).forEach((piece) => {
+          if (!sessions[piece.date]) sessions[piece.date] = [];
+          sessions[piece.date].push({ ...session, start: piece.start, end: piece.end });
+          if (!shares[savedOn]) shares[savedOn] = {};
+          if (!shares[savedOn][session.domain]) shares[savedOn][session.domain] = {};
+          const byDate = shares[savedOn][session.domain];
+          byDate[piece.date] = (byDate[piece.date] || 0) + (piece.end - piece.start);
+        });
+      });
+    });
+
+    const addEntry = (date, domain, entry, fraction, visitCount) => {
+      if (!visits[date]) visits[date] = {};
+      const bucket = visits[date];
+      if (!bucket[domain]) bucket[domain] = { totalTime: 0, visitCount: 0, idleTime: 0, urls: {} };
+      const target = bucket[domain];
+      target.totalTime += Math.round((entry.totalTime || 0) * fraction);
+      target.idleTime += Math.round((entry.idleTime || 0) * fraction);
+      target.visitCount += visitCount;
+      Object.entries(entry.urls || {}).forEach(([url, ms]) => {
+        target.urls[url] = (target.urls[url] || 0) + Math.round(ms * fraction);
+      });
+    };
+
+    Object.keys(all).forEach((key) => {
+      if (!/^visits_\d{4}-\d{2}-\d{2}$/.test(key)) return;
+      const date = key.slice('visits_'.length);
+      Object.entries(all[key] || {}).forEach(([domain, entry]) => {
+        const byDate = shares[date] && shares[date][domain];
+        const total = byDate ? Object.values(byDate).reduce((sum, ms) => sum + ms, 0) : 0;
+        if (!total) {
+          addEntry(date, domain, entry, 1, entry.visitCount || 0);
+          return;
+        }
+        const [mainDate] = Object.entries(byDate).sort((a, b) => b[1] - a[1])[0];
+        Object.entries(byDate).forEach(([localDate, ms]) => {
+          addEntry(localDate, domain, entry, ms / total, localDate === mainDate ? (entry.visitCount || 0) : 0);
+        });
+      });
+    });
+
+    const items = {};
+    Object.entries(visits).forEach(([date, bucket]) => { items[`visits_${date}`] = bucket; });
+    Object.entries(sessions).forEach(([date, list]) => {
+      items[`sessions_${date}`] = list.sort((a, b) => a.start - b.start);
+    });
+    const staleKeys = Object.keys(all).filter((key) => {
+      return /^(visits|sessions)_\d{4}-\d{2}-\d{2}$/.test(key) && !(key in items);
+    });
+
+    return { items, staleKeys };
+  }
+
+  async loadStoredData() {
+    try {
+      const result = await this.storage.get(['settings', 'statistics', 'pomodoro', 'tasks']);
+      if (result.settings) {
+        this.isTrackingEnabled = result.settings.trackingEnabled;
+        this.applyIdleThreshold(result.settings.idleThresholdSeconds);
+      }
+      if (result.pomodoro) {
+        this.pomodoro = { ...this.pomodoro, ...result.pomodoro };
+      }
+      // Another handler may have written these since the read above
+      await this.storage.update(['pomodoro', 'tasks'], (stored) => ({
+        ...(stored.pomodoro ? {} : { pomodoro: this.pomodoro }),
+        ...(stored.tasks ? {} : { tasks: [] })
+      }));
+    } catch (error) {
+      console.error('Error loading stored data:', error);
+    }
+  }
+
+  // Public API for popup and other components
+  // scope 'all' adds the synced totals of the user's other devices
+  async getDailyStats(date = this.getDayKey(), scope = 'device') {
+    try {
+      const key = `visits_${date}`;
+      const result = await this.storage.get(key);
+      const visits = result[key] || {};
+      return scope === 'all' && this.syncEnabled ? await this.addRemoteDays(date, visits) : visits;
+    } catch (error) {
+      console.error('Error getting daily stats:', error);
+      return {};
+    }
+  }
+
+  async getSessions(from, to = Date.now()) {
+    try {
+      const start = from != null ? from : this.getDayStart(to);
+      // Sessions are split at day boundaries, so each day's log is self-contained
+      const keys = [];
+      for (let day = this.getDayStart(start); day < to; day = this.getNextDayStart(day)) {
+        keys.push(`sessions_${this.getDayKey(day)}`);
+      }
+
+      const result = await this.storage.get(keys);
+      const sessions = [];
+      Object.values(result).forEach((list) => {
+        (list || []).forEach((session) => {
+          if (session.end > start && session.start < to) {
+            sessions.push(session);
+          }
+        });
+      });
+      return sessions.sort((a, b) => a.start - b.start);
+    } catch (error) {
+      console.error('Error getting sessions:', error);
+      return [];
+    }
+  }
+
+  async getCategoryConfig() {
+    try {
+      const result = await this.storage.get('settings');
+      const settings = result.settings || {};
+      return {
+        categories: { ...DEFAULT_CATEGORIES, ...(settings.categories || {}) },
+        domainCategories: { ...DEFAULT_DOMAIN_CATEGORIES, ...(settings.domainCategories || {}) },
+        userCategories: settings.categories || {},
+        userDomainCategories: settings.domainCategories || {}
+      };
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      return {
+        categories: { ...DEFAULT_CATEGORIES },
+        domainCategories: { ...DEFAULT_DOMAIN_CATEGORIES },
+        userCategories: {},
+        userDomainCategories: {}
+      };
+    }
+  }
+
+  // Looks the domain up, then each parent domain, so mail.google.com can use
+  // its own mapping while docs.python.org falls back to python.org
+  categorizeDomain(domain, config) {
+    const parts = String(domain || '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const candidate = parts.slice(i).join('.');
+      const category = config.domainCategories[candidate];
+      if (category && config.categories[category]) return category;
+    }
+    return null;
+  }
+
+  suggestCategory(domain) {
+    const host = String(domain || '').toLowerCase();
+    if (/\.(edu|gov)(\.[a-z]{2})?$/.test(host)) return 'Reference';
+    const hint = CATEGORY_HINTS.find(([, words]) => words.some((word) => host.includes(word)));
+    return hint ? hint[0] : null;
+  }
+
+  // Per-category totals and a 0-100 productivity score for one day's buckets
+  summarizeCategories(dailyStats, config) {
+    const categories = {};
+    let totalTime = 0;
+    let weightedTime = 0;
+
+    Object.entries(dailyStats || {}).forEach(([domain, stats]) => {
+      const time = stats.totalTime || 0;
+      const name = this.categorizeDomain(domain, config) || 'Uncategorized';
+      const weight = name === 'Uncategorized' ? 'neutral' : (config.categories[name].weight || 'neutral');
+      if (!categories[name]) {
+        categories[name] = { totalTime: 0, weight, domains: [] };
+      }
+      categories[name].totalTime += time;
+      categories[name].domains.push(domain);
+      totalTime += time;
+      weightedTime += time * (CATEGORY_WEIGHTS[weight] !== undefined ? CATEGORY_WEIGHTS[weight] : 0.5);
+    });
+
+    return {
+      categories,
+      totalTime,
+      score: totalTime > 0 ? Math.round((weightedTime / totalTime) * 100) : null
+    };
+  }
+
+  async getCategoryStats(dates = [this.getDayKey()], scope = 'device') {
+    const config = await this.getCategoryConfig();
+    const days = {};
+    const combined = {};
+    for (const date of dates) {
+      const dailyStats = await this.getDailyStats(date, scope);
+      days[date] = this.summarizeCategories(dailyStats, config);
+      Object.entries(dailyStats).forEach(([domain, stats]) => {
+        if (!combined[domain]) combined[domain] = { totalTime: 0 };
+        combined[domain].totalTime += stats.totalTime || 0;
+      });
+    }
+    return { days, total: this.summarizeCategories(combined, config) };
+  }
+
+  // Totals for the days from..to (inclusive), read with one storage call.
+  // Days already rolled into a monthly summary only count when the whole
+  // summary lies in the range, since its time cannot be split by day.
+  async getRangeStats(from, to, scope = 'device') {
+    try {
+      const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dayPattern.test(from) || !dayPattern.test(to) || from > to) {
+        throw new Error('Choose a start date on or before the end date');
+      }
+      const dates = [];
+      for (let date = from; date <= to && dates.length <= MAX_RANGE_DAYS; date = this.shiftDayKey(date, 1)) {
+        dates.push(date);
+      }
+      if (dates.length > MAX_RANGE_DAYS) {
+        throw new Error(`Choose a range of at most ${MAX_RANGE_DAYS} days`);
+      }
+
+      const months = [...new Set(dates.map((date) => date.slice(0, 7)))];
+      const stored = await this.storage.get([
+        ...dates.map((date) => `visits_${date}`),
+        ...months.map((month) => `monthly_${month}`)
+      ]);
+      const config = await this.getCategoryConfig();
+      const devices = scope === 'all' && this.syncEnabled ? await this.getRemoteDevices() : null;
+
+      const domains = {};
+      const addDomain = (domain, entry, activeDay) => {
+        if (!domains[domain]) domains[domain] = { totalTime: 0, visitCount: 0, idleTime: 0, activeDays: 0 };
+        const total = domains[domain];
+        total.totalTime += entry.totalTime || 0;
+        total.visitCount += entry.visitCount || 0;
+        total.idleTime += entry.idleTime || 0;
+        if (activeDay) total.activeDays++;
+      };
+
+      const days = [];
+      for (const date of dates) {
+        let visits = stored[`visits_${date}`] || {};
+        if (devices) visits = await this.addRemoteDays(date, visits, devices);
+        let totalTime = 0;
+        let visitCount = 0;
+        Object.entries(visits).forEach(([domain, entry]) => {
+          addDomain(domain, entry, true);
+          totalTime += entry.totalTime || 0;
+          visitCount += entry.visitCount || 0;
+        });
+        days.push({
+          date,
+          totalTime,
+          visitCount,
+          sites: Object.keys(visits).length,
+          score: this.summarizeCategories(visits, config).score
+        });
+      }
+
+      const archived = { days: 0, totalTime: 0 };
+      let unavailableDays = 0;
+      months.forEach((month) => {
+        const summary = stored[`monthly_${month}`];
+        if (!summary || !Array.isArray(summary.days)) return;
+        const inRange = summary.days.filter((date) => date >= from && date <= to);
+        if (inRange.length === 0) return;
+        if (inRange.length < summary.days.length) {
+          unavailableDays += inRange.length;
+          return;
+        }
+        Object.entries(summary.domains || {}).forEach(([domain, entry]) => addDomain(domain, entry, false));
+        archived.days += inRange.length;
+        archived.totalTime += summary.totalTime || 0;
+      });
+
+      const totals = Object.values(domains);
+      return {
+        from,
+        to,
+        days,
+        domains,
+        totalTime: totals.reduce((sum, entry) => sum + entry.totalTime, 0),
+        totalVisits: totals.reduce((sum, entry) => sum + entry.visitCount, 0),
+        categories: this.summarizeCategories(domains, config),
+        archived,
+        unavailableDays
+      };
+    } catch (error) {
+      console.error('Error getting range stats:', error);
+      return { error: error.message };
+    }
+  }
+
+  // Everything the category editor needs, including suggestions for domains
+  // seen recently that have no category yet
+  async getCategoryOverview() {
+    const config = await this.getCategoryConfig();
+    const statistics = await this.getStatistics();
+    const suggestions = Object.entries(statistics.domains || {})
+      .filter(([domain]) => !this.categorizeDomain(domain, config))
+      .sort(([, a], [, b]) => (b.totalTime || 0) - (a.totalTime || 0))
+      .slice(0, 20)
+      .map(([domain]) => ({ domain, suggestion: this.suggestCategory(domain) }));
+
+    return {
+      categories: config.categories,
+      defaultCategories: Object.keys(DEFAULT_CATEGORIES),
+      userDomainCategories: config.userDomainCategories,
+      suggestions
+    };
+  }
+
+  applyBudgets(budgets) {
+    this.budgets = (Array.isArray(budgets) ? budgets : [])
+      .filter((budget) => budget && budget.target && (budget.type === 'domain' || budget.type === 'category'))
+      .map((budget) => ({ ...budget, id: `${budget.type}:${budget.target}` }));
+  }
+
+  // Budgets are set in minutes, with an optional separate weekend allowance
+  getBudgetLimit(budget, date = this.getDayKey()) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+    const weekend = weekday === 0 || weekday === 6;
+    const minutes = weekend && budget.weekend !== undefined && budget.weekend !== null && budget.weekend !== ''
+      ? budget.weekend
+      : budget.weekday;
+    const value = parseFloat(minutes);
+    return Number.isFinite(value) && value >= 0 ? value * 60 * 1000 : null;
+  }
+
+  budgetMatches(budget, domain, config) {
+    if (budget.type === 'category') {
+      return this.categorizeDomain(domain, config) === budget.target;
+    }
+    const target = String(budget.target).toLowerCase().replace(/^www\./, '');
+    return domain === target || domain.endsWith(`.${target}`);
+  }
+
+  // Stored time for today plus whatever the open span has not settled yet
+  getTimeToday(dailyStats, matches, now = Date.now()) {
+    let used = 0;
+    Object.entries(dailyStats).forEach(([domain, stats]) => {
+      if (matches(domain)) used += stats.totalTime || 0;
+    });
+    const span = this.ledger.current;
+    if (span && matches(span.domain)) {
+      used += Math.max(0, now - Math.max(span.start, this.getDayStart(now)));
+    }
+    return used;
+  }
+
+  getBudgetUsage(budget, dailyStats, config, now = Date.now()) {
+    return this.getTimeToday(dailyStats, (domain) => this.budgetMatches(budget, domain, config), now);
+  }
+
+  async getBudgetLog(date = this.getDayKey()) {
+    const key = `budgets_${date}`;
+    const result = await this.storage.get(key);
+    return result[key] || { warned: {}, snoozes: [] };
+  }
+
+  // Called on every page event, including the budgetCheck a visible page
+  // sends without user input: warns once at 80% of a budget and reports the
+  // first exhausted budget (without an active snooze) so the page can block
+  async checkBudgets(domain, now = Date.now()) {
+    if (!domain || this.budgets.length === 0) return null;
+    try {
+      const date = this.getDayKey(now);
+      const config = await this.getCategoryConfig();
+      const matching = this.budgets.filter((budget) => this.budgetMatches(budget, domain, config));
+      if (matching.length === 0) return null;
+
+      const dailyStats = await this.getDailyStats(date);
+      const key = `budgets_${date}`;
+      let blocked = null;
+      const warnings = [];
+
+      // The log is read and written in one step so that overlapping
+      // heartbeats cannot both send the 80% warning
+      await this.storage.update(key, (result) => {
+        const log = result[key] || { warned: {}, snoozes: [] };
+        let logChanged = false;
+
+        for (const budget of matching) {
+          const limit = this.getBudgetLimit(budget, date);
+          if (limit === null) continue;
+          const used = this.getBudgetUsage(budget, dailyStats, config, now);
+
+          if (used >= limit * 0.8 && !log.warned[budget.id]) {
+            log.warned[budget.id] = now;
+            logChanged = true;
+            warnings.push({ budget, used, limit });
+          }
+
+          const snoozed = log.snoozes.some((snooze) => {
+            return snooze.budgetId === budget.id && now < snooze.at + BUDGET_SNOOZE_MS;
+          });
+          if (!blocked && used >= limit && !snoozed) {
+            blocked = { id: budget.id, type: budget.type, target: budget.target, limit, used };
+          }
+        }
+
+        return logChanged ? { [key]: log } : null;
+      });
+      warnings.forEach(({ budget, used, limit }) => this.notify(
+        `budget-warn-${budget.id}`,
+        'Time budget almost used',
+        `${budget.target}: ${Math.round(used / 60000)} of ${Math.round(limit / 60000)} minutes used today.`
+      ));
+      return blocked ? { blocked: true, ...blocked, snoozeMinutes: BUDGET_SNOOZE_MS / 60000 } : { blocked: false };
+    } catch (error) {
+      console.error('Error checking budgets:', error);
+      return null;
+    }
+  }
+
+  async snoozeBudget(budgetId, domain) {
+    try {
+      const key = `budgets_${this.getDayKey()}`;
+      await this.storage.update(key, (result) => {
+        const log = result[key] || { warned: {}, snoozes: [] };
+        log.snoozes.push({ budgetId, domain, at: Date.now() });
+        return { [key]: log };
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error snoozing budget:', error);
+      return { success: false };
+    }
+  }
+
+  async getBudgetStatus() {
+    const date = this.getDayKey();
+    const config = await this.getCategoryConfig();
+    const dailyStats = await this.getDailyStats(date);
+    const log = await this.getBudgetLog(date);
+    return this.budgets.map((budget) => ({
+      ...budget,
+      limit: this.getBudgetLimit(budget, date),
+      used: this.getBudgetUsage(budget, dailyStats, config),
+      snoozes: log.snoozes.filter((snooze) => snooze.budgetId === budget.id).length
+    }));
+  }
+
+  // The daily goal is either a maximum for total browsing or a minimum for
+  // time spent on productive categories
+  getGoalSettings(settings = {}) {
+    const minutes = parseFloat(settings.dailyGoal);
+    return {
+      type: settings.goalType === 'min' ? 'min' : 'max',
+      goalMs: (Number.isFinite(minutes) && minutes > 0 ? minutes : 480) * 60 * 1000
+    };
+  }
+
+  async measureGoal(date, goal, config) {
+    const summary = this.summarizeCategories(await this.getDailyStats(date), config);
+    const valueMs = goal.type === 'min'
+      ? Object.values(summary.categories)
+        .filter((category) => category.weight === 'productive')
+        .reduce((sum, category) => sum + category.totalTime, 0)
+      : summary.totalTime;
+    return {
+      type: goal.type,
+      goalMs: goal.goalMs,
+      valueMs,
+      met: goal.type === 'min' ? valueMs >= goal.goalMs : valueMs <= goal.goalMs
+    };
+  }
+
+  // Runs with the checkpoint alarm: refreshes today's goalHistory entry,
+  // finalizes the previous day and notifies once when a minimum is reached
+  // or a maximum is exceeded
+  async checkDailyGoal(now = Date.now()) {
+    try {
+      const result = await this.storage.get(['settings', 'goalHistory']);
+      const goal = this.getGoalSettings(result.settings);
+      const config = await this.getCategoryConfig();
+      const today = this.getDayKey(now);
+      const yesterday = this.getDayKey(this.getDayStart(now) - 1);
+
+      const last = (result.goalHistory || {})[yesterday];
+      const closed = last && !last.final
+        ? { ...last, ...(await this.measureGoal(yesterday, last, config)), final: true }
+        : null;
+      const entry = { ...(await this.measureGoal(today, goal, config)), final: false };
+
+      // The measurements are slow reads, so the history is merged in a
+      // separate step that sees any entry written in the meantime
+      let history = {};
+      let crossedNow = false;
+      await this.storage.update('goalHistory', (stored) => {
+        history = stored.goalHistory || {};
+        if (closed && !(history[yesterday] && history[yesterday].final)) {
+          history[yesterday] = closed;
+        }
+
+        const previous = history[today] || {};
+        // Changing the goal mid-day re-arms the notification
+        if (previous.notifiedAt && previous.type === goal.type && previous.goalMs === goal.goalMs) {
+          entry.notifiedAt = previous.notifiedAt;
+        }
+        const crossed = goal.type === 'min' ? entry.met : !entry.met;
+        if (crossed && !entry.notifiedAt) {
+          entry.notifiedAt = now;
+          crossedNow = true;
+        }
+        history[today] = entry;
+
+        // A year of history is plenty for streaks
+        const dates = Object.keys(history).sort();
+        dates.slice(0, Math.max(0, dates.length - 366)).forEach((date) => delete history[date]);
+        return { goalHistory: history };
+      });
+      if (crossedNow) {
+        this.notify(
+          'daily-goal',
+          goal.type === 'min' ? 'Daily goal reached' : 'Daily limit exceeded',
+          goal.type === 'min'
+            ? `${Math.round(entry.valueMs / 60000)} minutes on productive sites today.`
+            : `You have browsed for more than ${Math.round(goal.goalMs / 60000)} minutes today.`
+        );
+      }
+      return history;
+    } catch (error) {
+      console.error('Error checking daily goal:', error);
+      return {};
+    }
+  }
+
+  shiftDayKey(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return this.getDayKey(new Date(year, month - 1, day + days, this.dayStartHour).getTime());
+  }
+
+  // A day counts once it is final, except that a reached minimum already
+  // counts today. Days without a history entry break the streak.
+  getGoalStreaks(history, today = this.getDayKey()) {
+    const counts = (date) => {
+      const entry = history[date];
+      if (!entry || !entry.met) return false;
+      return entry.final || (date === today && entry.type === 'min');
+    };
+
+    let current = 0;
+    let cursor = counts(today) ? today : this.shiftDayKey(today, -1);
+    while (counts(cursor)) {
+      current++;
+      cursor = this.shiftDayKey(cursor, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(history).sort().forEach((date) => {
+      if (!counts(date)) {
+        run = 0;
+      } else {
+        run = previous && counts(previous) && this.shiftDayKey(previous, 1) === date ? run + 1 : 1;
+      }
+      best = Math.max(best, run);
+      previous = date;
+    });
+
+    return { current, best };
+  }
+
+  async getGoalStatus() {
+    const history = await this.checkDailyGoal();
+    const today = this.getDayKey();
+    const entry = history[today] || { ...this.getGoalSettings(), valueMs: 0, met: false };
+    const streaks = this.getGoalStreaks(history, today);
+    const recent = [];
+    for (let i = 13; i >= 0; i--) {
+      const date = this.shiftDayKey(today, -i);
+      const day = history[date];
+      recent.push({ date, met: day ? day.met : null, final: day ? !!day.final : false });
+    }
+    return {
+      type: entry.type,
+      goalMs: entry.goalMs,
+      valueMs: entry.valueMs,
+      met: entry.met,
+      streak: streaks.current,
+      bestStreak: streaks.best,
+      history: recent
+    };
+  }
+
+  applyFocusBlocklist(rules) {
+    this.focusRules = (Array.isArray(rules) ? rules : [])
+      .map((rule) => this.compileExclusionRule(rule))
+      .filter(Boolean);
+  }
+
+  isFocusActive(pomodoro) {
+    return !!pomodoro && pomodoro.mode === 'work' && pomodoro.isRunning && getPomodoroRemaining(pomodoro) > 0;
+  }
+
+  async getCurrentTask() {
+    const result = await this.storage.get('tasks');
+    return (result.tasks || []).find((task) => !task.done) || null;
+  }
+
+  // During a running Pomodoro work phase, blocked sites are swapped for the
+  // focus page and each attempt is counted against the focus session. Only
+  // web pages are blocked; a broad rule would otherwise also match the focus
+  // page itself and redirect it in a loop
+  async enforceFocusBlock(tabId, url) {
+    if (!url || this.focusRules.length === 0) return false;
+    if (!/^https?:/i.test(url) || url.startsWith(chrome.runtime.getURL(''))) return false;
+    if (!this.focusRules.some((rule) => rule.matchesUrl(url))) return false;
+    try {
+      let active = false;
+      await this.storage.update('pomodoro', ({ pomodoro }) => {
+        active = this.isFocusActive(pomodoro);
+        if (!active) return null;
+        const session = pomodoro.focusSession || { start: Date.now(), distractions: [] };
+        session.distractions.push({ at: Date.now(), domain: this.extractDomain(url) });
+        return { pomodoro: { ...pomodoro, focusSession: session } };
+      });
+      if (!active) return false;
+
+      await chrome.tabs.update(tabId, {
+        url: `${chrome.runtime.getURL('src/blocked.html')}?url=${encodeURIComponent(url)}`
+      });
+      return true;
+    } catch (error) {
+      console.error('Error enforcing focus block:', error);
+      return false;
+    }
+  }
+
+  // Files a finished (or abandoned) work phase under focus_YYYY-MM-DD
+  async logFocusSession(session, completed, end = Date.now()) {
+    if (!session) return;
+    try {
+      const task = await this.getCurrentTask();
+      const key = `focus_${this.getDayKey(session.start)}`;
+      await this.storage.update(key, (result) => ({
+        [key]: [...(result[key] || []), {
+          start: session.start,
+          end,
+          completed,
+          task: task ? task.text : null,
+          distractions: session.distractions || []
+        }]
+      }));
+    } catch (error) {
+      console.error('Error logging focus session:', error);
+    }
+  }
+
+  async getFocusStatus() {
+    const { pomodoro } = await this.storage.get('pomodoro');
+    const state = pomodoro || {};
+    const task = await this.getCurrentTask();
+    return {
+      active: this.isFocusActive(state),
+      mode: state.mode || 'work',
+      isRunning: !!state.isRunning,
+      remainingMs: getPomodoroRemaining(state),
+      task: task ? task.text : null,
+      distractions: state.focusSession ? state.focusSession.distractions.length : 0
+    };
+  }
+
+  async getMonthlyStats(month) {
+    try {
+      const all = await this.storage.get(null);
+      const months = {};
+      Object.keys(all).forEach((key) => {
+        if (!key.startsWith('monthly_')) return;
+        const name = key.slice('monthly_'.length);
+        if (!month || month === name) {
+          months[name] = all[key];
+        }
+      });
+      return months;
+    } catch (error) {
+      console.error('Error getting monthly stats:', error);
+      return {};
+    }
+  }
+
+  async getStatistics() {
+    try {
+      const result = await this.storage.get('statistics');
+      return result.statistics || {
+        totalTime: 0,
+        totalVisits: 0,
+        domains: {},
+        lastUpdated: Date.now()
+      };
+    } catch (error) {
+      console.error('Error getting statistics:', error);
+      return { totalTime: 0, totalVisits: 0, domains: {} };
+    }
+  }
+
+  async clearData() {
+    try {
+      // Settings go back to the defaults, which have sync turned off
+      if (this.syncEnabled) {
+        if (this.syncing) await this.syncing;
+        await this.leaveSync();
+      }
+      await this.storage.exclusive((area) => this.clearStorage(area));
+      await this.setDefaultSettings();
+      await this.loadTrackerSettings();
+      return true;
+    } catch (error) {
+      console.error('Error clearing data:', error);
+      return false;
+    }
+  }
+
+  // Empties the storage area except for DEVICE_STATE_KEYS
+  async clearStorage(area) {
+    const kept = await area.get(DEVICE_STATE_KEYS);
+    await area.clear();
+    if (Object.keys(kept).length > 0) await area.set(kept);
+  }
+
+  async exportData() {
+    try {
+      const data = await this.storage.get();
+      return JSON.stringify(data, null, 2);
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      return null;
+    }
+  }
+
+  // The raw export, encrypted so that URLs are unreadable without the passphrase
+  async exportEncrypted(passphrase) {
+    try {
+      if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      }
+      const plaintext = await this.exportData();
+      if (plaintext === null) throw new Error('Could not read the stored data');
+
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const key = await this.deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+      const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+      const envelope = {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: 1,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: this.toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+        data: this.toBase64(new Uint8Array(ciphertext))
+      };
+      return { success: true, content: JSON.stringify(envelope, null, 2) };
+    } catch (error) {
+      console.error('Error encrypting export:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  isEncryptedBackup(data) {
+    return !!data && typeof data === 'object' && data.format === ENCRYPTED_BACKUP_FORMAT;
+  }
+
+  // Resolves to the parsed export, or an error that tells a wrong passphrase
+  // apart from a file that is not an encrypted backup at all
+  async decryptBackup(envelope, passphrase) {
+    if (!this.isEncryptedBackup(envelope)) {
+      return { success: false, error: 'This file is not an encrypted backup' };
+    }
+    let key;
+    let iv;
+    let ciphertext;
+    try {
+      if (envelope.version !== 1 || !envelope.kdf || !envelope.cipher) {
+        throw new Error(`Unsupported backup version ${envelope.version}`);
+      }
+      iv = this.fromBase64(envelope.cipher.iv);
+      ciphertext = this.fromBase64(envelope.data);
+      key = await this.deriveBackupKey(String(passphrase || ''), this.fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+    } catch (error) {
+      console.error('Error reading encrypted backup:', error);
+      return { success: false, error: `The backup file is damaged: ${error.message}` };
+    }
+
+    let plaintext;
+    try {
+      plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    } catch (error) {
+      // AES-GCM cannot tell a wrong key from tampered data
+      return { success: false, wrongPassphrase: true, error: 'Wrong passphrase, or the file has been modified' };
+    }
+    try {
+      return { success: true, data: JSON.parse(new TextDecoder().decode(plaintext)) };
+    } catch (error) {
+      return { success: false, error: 'The decrypted backup is not valid JSON' };
+    }
+  }
+
+  async deriveBackupKey(passphrase, salt, iterations) {
+    // An absurd count in a crafted file would tie up the worker for hours
+    if (!Number.isInteger(iterations) || iterations < 1 || iterations > BACKUP_KDF_ITERATIONS * 10) {
+      throw new Error('Invalid key derivation settings');
+    }
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    // Chunked so large backups do not overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  // Spreadsheet-friendly export of the days from..to (inclusive). 'json' is
+  // the raw storage dump, the other formats are tables built by
+  // buildExportRows from the per-day buckets.
+  async exportReport({ from, to, grouping = 'day-domain', format = 'csv', durationUnit = 'seconds', passphrase } = {}) {
+    try {
+      if (format === 'json') {
+        return { content: await this.exportData(), ...EXPORT_FORMATS.json, filename: `usage-tracker-data-${this.getDayKey()}.json` };
+      }
+      if (format === 'encrypted') {
+        const result = await this.exportEncrypted(passphrase);
+        if (!result.success) throw new Error(result.error);
+        return { content: result.content, ...EXPORT_FORMATS.encrypted, filename: `usage-tracker-backup-${this.getDayKey()}.encrypted.json` };
+      }
+      if (!EXPORT_FORMATS[format]) throw new Error(`Unknown export format "${format}"`);
+      if (!EXPORT_GROUPINGS.includes(grouping)) throw new Error(`Unknown grouping "${grouping}"`);
+      const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (!dayPattern.test(from) || !dayPattern.test(to) || from > to) {
+        throw new Error('Choose a start date on or before the end date');
+      }
+
+      const dates = [];
+      for (let date = from; date <= to && dates.length <= MAX_RANGE_DAYS; date = this.shiftDayKey(date, 1)) {
+        dates.push(date);
+      }
+      if (dates.length > MAX_RANGE_DAYS) {
+        throw new Error(`Choose a range of at most ${MAX_RANGE_DAYS} days`);
+      }
+      const stored = await this.storage.get(dates.map((date) => `visits_${date}`));
+      const days = {};
+      dates.forEach((date) => {
+        const visits = stored[`visits_${date}`];
+        if (visits) days[date] = visits;
+      });
+
+      const config = await this.getCategoryConfig();
+      const { columns, rows } = this.buildExportRows(days, grouping, config);
+      const durationColumns = new Set(['time', 'idle']);
+      const formatted = rows.map((row) => columns.map((column) => (
+        durationColumns.has(column) ? this.formatExportDuration(row[column], durationUnit) : row[column]
+      )));
+
+      return {
+        content: this.serializeRows(columns, formatted, format),
+        ...EXPORT_FORMATS[format],
+        filename: `usage-tracker-${grouping}-${from}-to-${to}.${EXPORT_FORMATS[format].extension}`
+      };
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      return { error: error.message };
+    }
+  }
+
+  buildExportRows(days, grouping, config) {
+    const byTime = (a, b) => b.time - a.time;
+    const rows = [];
+
+    if (grouping === 'day-domain') {
+      Object.entries(days).forEach(([date, visits]) => {
+        Object.entries(visits).sort(([, a], [, b]) => (b.totalTime || 0) - (a.totalTime || 0)).forEach(([domain, entry]) => {
+          rows.push({
+            date,
+            domain,
+            category: this.categorizeDomain(domain, config) || 'Uncategorized',
+            time: entry.totalTime || 0,
+            idle: entry.idleTime || 0,
+            visits: entry.visitCount || 0
+          });
+        });
+      });
+      return { columns: ['date', 'domain', 'category', 'time', 'idle', 'visits'], rows };
+    }
+
+    if (grouping === 'day-url') {
+      Object.entries(days).forEach(([date, visits]) => {
+        const dayRows = [];
+        Object.entries(visits).forEach(([domain, entry]) => {
+          Object.entries(entry.urls || {}).forEach(([url, time]) => {
+            dayRows.push({ date, domain, url, time });
+          });
+        });
+        rows.push(...dayRows.sort(byTime));
+      });
+      return { columns: ['date', 'domain', 'url', 'time'], rows };
+    }
+
+    if (grouping === 'category') {
+      const totals = {};
+      Object.values(days).forEach((visits) => {
+        Object.entries(this.summarizeCategories(visits, config).categories).forEach(([category, summary]) => {
+          if (!totals[category]) totals[category] = { category, weight: summary.weight, time: 0, domains: new Set() };
+          const total = totals[category];
+          total.time += summary.totalTime;
+          summary.domains.forEach((domain) => total.domains.add(domain));
+        });
+      });
+      Object.values(totals).sort(byTime).forEach((total) => {
+        rows.push({ category: total.category, weight: total.weight, time: total.time, sites: total.domains.size });
+      });
+      return { columns: ['category', 'weight', 'time', 'sites'], rows };
+    }
+
+    // Weekly totals per site; weeks start on Monday
+    const weeks = {};
+    Object.entries(days).forEach(([date, visits]) => {
+      const [year, month, day] = date.split('-').map(Number);
+      const week = this.shiftDayKey(date, -((new Date(year, month - 1, day).getDay() + 6) % 7));
+      Object.entries(visits).forEach(([domain, entry]) => {
+        if (!weeks[week]) weeks[week] = {};
+        if (!weeks[week][domain]) weeks[week][domain] = { week, domain, time: 0, visits: 0, days: 0 };
+        const row = weeks[week][domain];
+        row.time += entry.totalTime || 0;
+        row.visits += entry.visitCount || 0;
+        row.days += 1;
+      });
+    });
+    Object.keys(weeks).sort().forEach((week) => {
+      rows.push(...Object.values(weeks[week]).sort(byTime));
+    });
+    return { columns: ['week', 'domain', 'time', 'visits', 'days'], rows };
+  }
+
+  formatExportDuration(ms, unit) {
+    const seconds = Math.round((ms || 0) / 1000);
+    if (unit !== 'hmm') return seconds;
+    const minutes = Math.round(seconds / 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  serializeRows(columns, rows, format) {
+    if (format === 'jsonl') {
+      return rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, row[i]])))).join('\n') + '\n';
+    }
+    if (format === 'tsv') {
+      const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+      return [columns, ...rows].map((row) => row.map(clean).join('\t')).join('\n') + '\n';
+    }
+    const quote = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows].map((row) => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  // Checks that a parsed export has the shapes this extension writes and
+  // upgrades it to the current schema. Unknown keys are dropped with a warning.
+  validateImport(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      throw new Error('The file does not contain an export object');
+    }
+    if (this.isEncryptedBackup(raw)) {
+      throw new Error('This backup is encrypted; unlock it with its passphrase first');
+    }
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    const data = {};
+    const warnings = [];
+    const errors = [];
+
+    Object.entries(raw).forEach(([key, value]) => {
+      if (EXPORT_ONLY_KEYS.includes(key)) return;
+      const kind = IMPORT_KEYS.find(([pattern]) => pattern.test(key));
+      if (!kind) {
+        warnings.push(`Ignored unknown key "${key}"`);
+        return;
+      }
+      const shape = kind[1];
+      const valid = shape === 'array' ? Array.isArray(value)
+        : shape === 'number' ? typeof value === 'number'
+          : isObject(value);
+      if (!valid) {
+        errors.push(`"${key}" should be ${IMPORT_SHAPE_NAMES[shape]}`);
+        return;
+      }
+      if (/^visits_/.test(key) && !Object.values(value).every((entry) => isObject(entry) && typeof entry.totalTime === 'number')) {
+        errors.push(`"${key}" has entries without a totalTime`);
+        return;
+      }
+      if (key === 'tasks' && !value.every((task) => isObject(task) && task.id && typeof task.text === 'string')) {
+        errors.push('"tasks" has entries without an id or text');
+        return;
+      }
+      data[key] = value;
+    });
+
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    const known = Object.keys(data).filter((key) => key !== 'schemaVersion');
+    if (!known.some((key) => /^(visits|monthly)_/.test(key) || key === 'tasks' || key === 'settings')) {
+      throw new Error('The file has no usage data, tasks or settings');
+    }
+    // Migrating fills in default settings, so whether the file has its own
+    // must be read first
+    return { data: this.migrateSnapshot(data), warnings, hasSettings: 'settings' in data };
+  }
+
+  async previewImport(raw) {
+    try {
+      const { data, warnings, hasSettings } = this.validateImport(raw);
+      const current = await this.storage.get(null);
+      const days = Object.keys(data).filter((key) => key.startsWith('visits_'));
+      const domains = new Set();
+      days.forEach((key) => Object.keys(data[key]).forEach((domain) => domains.add(domain)));
+      const knownDomains = new Set(Object.keys((current.statistics && current.statistics.domains) || {}));
+      const taskIds = new Set((current.tasks || []).map((task) => task.id));
+      const tasks = data.tasks || [];
+
+      return {
+        valid: true,
+        schemaVersion: raw.schemaVersion || 0,
+        warnings,
+        days: days.length,
+        newDays: days.filter((key) => !(key in current)).length,
+        overlappingDays: days.filter((key) => key in current).length,
+        months: Object.keys(data).filter((key) => key.startsWith('monthly_')).length,
+        domains: domains.size,
+        newDomains: [...domains].filter((domain) => !knownDomains.has(domain)).length,
+        tasks: tasks.length,
+        newTasks: tasks.filter((task) => !taskIds.has(task.id)).length,
+        hasSettings
+      };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+
+  // 'replace' swaps the stored data for the file; 'sum' adds durations of
+  // days present in both, 'max' keeps the larger entry per site and day.
+  // Settings only come from the file on replace, and only if it has them.
+  // The Pomodoro timer always keeps its current state.
+  async importData(raw, strategy = 'sum') {
+    try {
+      if (!IMPORT_STRATEGIES.includes(strategy)) throw new Error(`Unknown import strategy "${strategy}"`);
+      const { data, hasSettings } = this.validateImport(raw);
+      const result = await this.storage.exclusive(async (area) => {
+        const current = await area.get(null);
+        const updates = strategy === 'replace'
+          ? { ...data, settings: hasSettings ? data.settings : current.settings, pomodoro: current.pomodoro || data.pomodoro }
+          : this.mergeImport(current, data, strategy);
+        updates.schemaVersion = SCHEMA_VERSION;
+
+        if (strategy === 'replace') {
+          // Whether this device syncs is not part of the file, and replaced
+          // settings count as an edit so that sync passes them on
+          const before = current.settings || {};
+          updates.settings = { ...updates.settings, syncEnabled: before.syncEnabled };
+          if (updates.settings.syncEnabled === undefined) delete updates.settings.syncEnabled;
+          updates.settingsClock = this.stampSettingsClock(current.settingsClock, before, updates.settings);
+          await this.clearStorage(area);
+        }
+        await area.set(updates);
+        return strategy === 'replace' ? updates : { ...current, ...updates };
+      });
+
+      await this.rebuildStatistics('import');
+      await this.rearmTaskAlarms(result.tasks || []);
+      await this.loadTrackerSettings();
+      this.updateBadge();
+      this.scheduleSync();
+      return { success: true };
+    } catch (error) {
+      console.error('Error importing data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  mergeImport(current, data, strategy) {
+    const merged = {};
+    const mergeEntry = (a, b) => {
+      if (!a) return b;
+      if (!b) return a;
+      if (strategy === 'max') return (b.totalTime || 0) > (a.totalTime || 0) ? b : a;
+      const urls = { ...(a.urls || {}) };
+      Object.entries(b.urls || {}).forEach(([url, ms]) => { urls[url] = (urls[url] || 0) + ms; });
+      return {
+        ...a,
+        totalTime: (a.totalTime || 0) + (b.totalTime || 0),
+        visitCount: (a.visitCount || 0) + (b.visitCount || 0),
+        idleTime: (a.idleTime || 0) + (b.idleTime || 0),
+        urls
+      };
+    };
+    const mergeDomains = (a = {}, b = {}) => {
+      const out = { ...a };
+      Object.entries(b).forEach(([domain, entry]) => { out[domain] = mergeEntry(out[domain], entry); });
+      return out;
+    };
+
+    Object.entries(data).forEach(([key, value]) => {
+      const existing = current[key];
+      if (key.startsWith('visits_')) {
+        merged[key] = mergeDomains(existing, value);
+      } else if (key.startsWith('monthly_')) {
+        const domains = mergeDomains(existing && existing.domains, value.domains);
+        merged[key] = {
+          days: [...new Set([...((existing && existing.days) || []), ...(value.days || [])])].sort(),
+          domains,
+          totalTime: Object.values(domains).reduce((sum, entry) => sum + (entry.totalTime || 0), 0),
+          totalVisits: Object.values(domains).reduce((sum, entry) => sum + (entry.visitCount || 0), 0)
+        };
+      } else if (key.startsWith('sessions_')) {
+        // Sessions are real time intervals, so both strategies take the union
+        const seen = new Set((existing || []).map((session) => `${session.start}|${session.tabId}|${session.url}`));
+        const added = value.filter((session) => !seen.has(`${session.start}|${session.tabId}|${session.url}`));
+        merged[key] = [...(existing || []), ...added].sort((a, b) => a.start - b.start);
+      } else if (key === 'tasks') {
+        const ids = new Set((current.tasks || []).map((task) => task.id));
+        merged.tasks = [...(current.tasks || []), ...value.filter((task) => !ids.has(task.id))];
+      } else if (key === 'goalHistory') {
+        merged.goalHistory = { ...value, ...(existing || {}) };
+      } else if (/^(focus|budgets)_/.test(key) && existing === undefined) {
+        merged[key] = value;
+      }
+    });
+    return merged;
+  }
+
+  // All-time totals from the daily buckets plus the monthly roll-ups of days
+  // that have already been pruned
+  recomputeStatistics(data) {
+    const stats = { totalTime: 0, totalVisits: 0, domains: {}, lastUpdated: Date.now() };
+    const add = (domain, entry) => {
+      if (!stats.domains[domain]) stats.domains[domain] = { totalTime: 0, visitCount: 0 };
+      const target = stats.domains[domain];
+      target.totalTime += entry.totalTime || 0;
+      target.visitCount += entry.visitCount || 0;
+      stats.totalTime += entry.totalTime || 0;
+      stats.totalVisits += entry.visitCount || 0;
+    };
+    Object.entries(data).forEach(([key, value]) => {
+      if (/^visits_\d{4}-\d{2}-\d{2}$/.test(key)) {
+        Object.entries(value || {}).forEach(([domain, entry]) => add(domain, entry));
+      } else if (/^monthly_\d{4}-\d{2}$/.test(key)) {
+        Object.entries((value && value.domains) || {}).forEach(([domain, entry]) => add(domain, entry));
+      }
+    });
+    return stats;
+  }
+
+  // Replaces the statistics aggregate with totals recomputed from the stored
+  // buckets and reports every site where the two disagreed
+  async rebuildStatistics(reason = 'manual') {
+    try {
+      return await this.storage.exclusive(async (area) => {
+        const all = await area.get(null);
+        const rebuilt = this.recomputeStatistics(all);
+        const discrepancies = this.compareStatistics(all.statistics, rebuilt);
+        await area.set({ statistics: rebuilt });
+        return {
+          success: true,
+          reason,
+          domains: Object.keys(rebuilt.domains).length,
+          totalTime: rebuilt.totalTime,
+          totalVisits: rebuilt.totalVisits,
+          timeDifference: rebuilt.totalTime - ((all.statistics && all.statistics.totalTime) || 0),
+          visitDifference: rebuilt.totalVisits - ((all.statistics && all.statistics.totalVisits) || 0),
+          discrepancies
+        };
+      });
+    } catch (error) {
+      console.error('Error rebuilding statistics:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Largest time differences first
+  compareStatistics(stored, rebuilt) {
+    const storedDomains = (stored && stored.domains) || {};
+    const domains = new Set([...Object.keys(storedDomains), ...Object.keys(rebuilt.domains)]);
+    const discrepancies = [];
+    domains.forEach((domain) => {
+      const before = storedDomains[domain] || {};
+      const after = rebuilt.domains[domain] || {};
+      const storedTime = before.totalTime || 0;
+      const rebuiltTime = after.totalTime || 0;
+      const storedVisits = before.visitCount || 0;
+      const rebuiltVisits = after.visitCount || 0;
+      if (storedTime !== rebuiltTime || storedVisits !== rebuiltVisits) {
+        discrepancies.push({ domain, storedTime, rebuiltTime, storedVisits, rebuiltVisits });
+      }
+    });
+    return discrepancies.sort((a, b) => Math.abs(b.rebuiltTime - b.storedTime) - Math.abs(a.rebuiltTime - a.storedTime));
+  }
+
+  async rearmTaskAlarms(tasks) {
+    const now = Date.now();
+    for (const task of tasks) {
+      const name = `task-due-${task.id}`;
+      if (!task.done && task.dueAt && task.dueAt > now) {
+        chrome.alarms.create(name, { when: task.dueAt });
+      } else {
+        await chrome.alarms.clear(name);
+      }
+    }
+  }
+  // --- Cross-device sync (opt-in) ---
+  // storage.sync holds one shared document with the synced settings and the
+  // tasks, plus one document per device with its recent daily totals.
+  // Settings and task fields merge last-writer-wins using per-field clocks;
+  // deleted tasks leave tombstones so a stale device cannot bring them back.
+
+  applySync(enabled) {
+    this.syncEnabled = !!enabled && !!chrome.storage.sync;
+    if (!this.syncEnabled) {
+      chrome.alarms.clear('sync-periodic');
+      chrome.alarms.clear('sync-soon');
+      return;
+    }
+    chrome.alarms.get('sync-periodic', (alarm) => {
+      if (!alarm) {
+        chrome.alarms.create('sync-periodic', { delayInMinutes: 1, periodInMinutes: SYNC_INTERVAL_MINUTES });
+      }
+    });
   }
 
-  async handleTabUpdated(tabId, changeInfo, tab) {
-    if (changeInfo.status === 'complete' && tab.url) {
-      this.stopTrackingTab(tabId);
-      this.startTrackingTab(tabId, tab.url);
-    }
+  // Local edits are pushed shortly after they happen rather than one write each
+  scheduleSync() {
+    if (!this.syncEnabled) return;
+    chrome.alarms.create('sync-soon', { delayInMinutes: 0.5 });
   }
 
-  handleTabRemoved(tabId) {
-    this.stopTrackingTab(tabId);
+  async getSyncDevice() {
+    const { syncDevice } = await this.storage.get('syncDevice');
+    if (syncDevice) return syncDevice;
+
+    let os = 'browser';
+    try {
+      os = (await chrome.runtime.getPlatformInfo()).os;
+    } catch (error) {
+      // Not available everywhere; the id alone is enough
+    }
+    // crypto.randomUUID is newer than the oldest supported browsers
+    const id = Array.from(crypto.getRandomValues(new Uint8Array(6)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    const device = { id, name: `${os.charAt(0).toUpperCase()}${os.slice(1)} ${id.slice(0, 4)}` };
+    await this.storage.update('syncDevice', (stored) => (stored.syncDevice ? null : { syncDevice: device }));
+    return (await this.storage.get('syncDevice')).syncDevice;
   }
 
-  handleWindowFocusChanged(windowId) {
-    if (windowId === chrome.windows.WINDOW_ID_NONE) {
-      this.stopTrackingAllTabs();
-    } else {
-      chrome.tabs.query({ active: true, windowId }, (tabs) => {
-        if (tabs[0]) {
-          this.stopTrackingAllTabs();
-          this.startTrackingTab(tabs[0].id, tabs[0].url);
-        }
+  syncNow() {
+    if (!this.syncEnabled) return Promise.resolve({ success: false, error: 'Sync is turned off' });
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
       });
     }
+    return this.syncing;
   }
 
-  handleStartup() {
-    this.loadStoredData();
-  }
+  async runSync() {
+    try {
+      const device = await this.getSyncDevice();
+      const remote = await chrome.storage.sync.get(null);
+      const shared = this.readSyncDocument(remote, 'sync_shared') || {};
+      let sharedDoc = null;
+      let changed = {};
 
-  handleInstalled() {
-    this.loadStoredData();
-    this.setDefaultSettings();
-  }
+      // Merged against the latest local values, so edits made while the
+      // remote copy was being read are not lost
+      await this.storage.update(['settings', 'settingsClock', 'tasks', 'taskTombstones'], (local) => {
+        const settings = local.settings || {};
+        const mergedSettings = this.mergeFields(
+          { values: this.pickSyncedSettings(settings), clock: local.settingsClock || {} },
+          { values: (shared.settings && shared.settings.values) || {}, clock: (shared.settings && shared.settings.clock) || {} }
+        );
+        const mergedTasks = this.mergeTasks(
+          { tasks: local.tasks || [], tombstones: local.taskTombstones || {} },
+          { tasks: shared.tasks || [], tombstones: shared.tombstones || {} }
+        );
+        sharedDoc = { settings: mergedSettings, tasks: mergedTasks.tasks, tombstones: mergedTasks.tombstones };
 
-  async setDefaultSettings() {
-    const defaultSettings = {
-      trackingEnabled: true,
-      dailyGoal: 480, // 8 hours in minutes
-      excludedDomains: ['chrome://', 'chrome-extension://', 'about:'],
-      dataRetentionDays: 30
-    };
+        const localOnly = {};
+        SYNC_LOCAL_SETTINGS.forEach((key) => {
+          if (key in settings) localOnly[key] = settings[key];
+        });
+        const updates = {
+          settings: { ...mergedSettings.values, ...localOnly },
+          settingsClock: mergedSettings.clock,
+          tasks: mergedTasks.tasks,
+          taskTombstones: mergedTasks.tombstones
+        };
+        changed = {};
+        Object.entries(updates).forEach(([key, value]) => {
+          if (this.stableJSON(value) !== this.stableJSON(local[key])) changed[key] = value;
+        });
+        return changed;
+      });
 
-    try {
-      const stored = await chrome.storage.local.get('settings');
-      if (!stored.settings) {
-        await chrome.storage.local.set({ settings: defaultSettings });
+      if (changed.settings) {
+        await this.loadTrackerSettings();
+        this.updateBadge();
+      }
+      if (changed.tasks) {
+        await this.rearmTaskAlarms(changed.tasks);
+      }
+
+      const sharedItems = this.chunkForSync('sync_shared', sharedDoc);
+      const devicePrefix = `sync_device_${device.id}`;
+      let deviceItems = null;
+      // Recent days are dropped until everything fits in the sync quota
+      for (const days of [SYNC_DAYS, 7, 3, 1]) {
+        deviceItems = this.chunkForSync(devicePrefix, await this.buildDeviceSummary(device, days));
+        const others = Object.keys(remote).filter((key) => !this.isSyncKeyOf(key, 'sync_shared') && !this.isSyncKeyOf(key, devicePrefix));
+        const size = this.syncSize(others.map((key) => [key, remote[key]]))
+          + this.syncSize(Object.entries(sharedItems)) + this.syncSize(Object.entries(deviceItems));
+        if (size <= SYNC_QUOTA_BYTES * 0.9) break;
+        deviceItems = null;
       }
+      if (!deviceItems) throw new Error('Sync storage is full');
+
+      await this.writeSyncItems(remote, 'sync_shared', sharedItems);
+      await this.writeSyncItems(remote, devicePrefix, deviceItems);
+      await this.storage.set({ syncStatus: { lastSyncAt: Date.now(), error: null } });
+      return { success: true, changed: Object.keys(changed) };
     } catch (error) {
-      console.error('Error setting default settings:', error);
+      console.error('Error syncing:', error);
+      await this.storage.update('syncStatus', (stored) => ({
+        syncStatus: { ...(stored.syncStatus || {}), error: error.message }
+      }));
+      return { success: false, error: error.message };
     }
   }
 
-  startTrackingTab(tabId, url) {
-    if (!this.isTrackingEnabled || !url) return;
-
-    const domain = this.extractDomain(url);
-    if (this.isDomainExcluded(domain)) return;
-
-    const trackingData = {
-      tabId,
-      url,
-      domain,
-      startTime: Date.now(),
-      lastUpdate: Date.now()
-    };
+  // Removes this device's totals from storage.sync when sync is turned off
+  async leaveSync() {
+    try {
+      const { syncDevice } = await this.storage.get('syncDevice');
+      if (!syncDevice || !chrome.storage.sync) return;
+      const remote = await chrome.storage.sync.get(null);
+      const keys = Object.keys(remote).filter((key) => this.isSyncKeyOf(key, `sync_device_${syncDevice.id}`));
+      if (keys.length > 0) await chrome.storage.sync.remove(keys);
+    } catch (error) {
+      console.error('Error leaving sync:', error);
+    }
+  }
 
-    this.activeTabs.set(tabId, trackingData);
-    this.updateBadge(domain);
+  pickSyncedSettings(settings) {
+    const values = { ...settings };
+    SYNC_LOCAL_SETTINGS.forEach((key) => delete values[key]);
+    return values;
   }
 
-  stopTrackingTab(tabId) {
-    const trackingData = this.activeTabs.get(tabId);
-    if (!trackingData) return;
+  // Records when each synced setting last changed on this device
+  stampSettingsClock(clock, before, after, now = Date.now()) {
+    const next = { ...(clock || {}) };
+    new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach((key) => {
+      if (SYNC_LOCAL_SETTINGS.includes(key)) return;
+      if (this.stableJSON((before || {})[key]) !== this.stableJSON((after || {})[key])) next[key] = now;
+    });
+    return next;
+  }
 
-    const endTime = Date.now();
-    const duration = endTime - trackingData.startTime;
+  // Later clock wins; equal clocks fall back to comparing the values so that
+  // every device settles on the same one
+  remoteWins(localAt, localValue, remoteAt, remoteValue) {
+    if (remoteAt !== localAt) return remoteAt > localAt;
+    // Without a newer clock a missing value means the field was never set
+    // there (e.g. settings from before sync), so it must not delete anything
+    if (localValue === undefined || remoteValue === undefined) return localValue === undefined && remoteValue !== undefined;
+    return String(this.stableJSON(remoteValue)) > String(this.stableJSON(localValue));
+  }
 
-    if (duration > 1000) { // Only track visits longer than 1 second
-      this.saveVisitData(trackingData.domain, duration, trackingData.url);
-    }
+  mergeFields(local, remote) {
+    const values = {};
+    const clock = {};
+    const fields = new Set([
+      ...Object.keys(local.values), ...Object.keys(local.clock),
+      ...Object.keys(remote.values), ...Object.keys(remote.clock)
+    ]);
+    fields.forEach((field) => {
+      const localAt = local.clock[field] || 0;
+      const remoteAt = remote.clock[field] || 0;
+      const winner = this.remoteWins(localAt, local.values[field], remoteAt, remote.values[field]) ? remote : local;
+      // A clock without a value is a deleted setting
+      if (field in winner.values) values[field] = winner.values[field];
+      if (localAt || remoteAt) clock[field] = Math.max(localAt, remoteAt);
+    });
+    return { values, clock };
+  }
 
-    this.activeTabs.delete(tabId);
-    this.updateBadge('');
+  taskFieldClock(task, field) {
+    return (task.clock && task.clock[field]) || task.createdAt || 0;
   }
 
-  stopTrackingAllTabs() {
-    for (const tabId of this.activeTabs.keys()) {
-      this.stopTrackingTab(tabId);
-    }
+  mergeTasks(local, remote, now = Date.now()) {
+    const tombstones = { ...remote.tombstones };
+    Object.entries(local.tombstones).forEach(([id, at]) => {
+      tombstones[id] = Math.max(at, tombstones[id] || 0);
+    });
+
+    const localById = new Map(local.tasks.map((task) => [task.id, task]));
+    const remoteById = new Map(remote.tasks.map((task) => [task.id, task]));
+    const tasks = [];
+    new Set([...localById.keys(), ...remoteById.keys()]).forEach((id) => {
+      const a = localById.get(id);
+      const b = remoteById.get(id);
+      const task = a && b ? this.mergeTask(a, b) : (a || b);
+      // An edit made after the delete brings the task back
+      const lastEdit = Math.max(...TASK_SYNC_FIELDS.map((field) => this.taskFieldClock(task, field)));
+      if (tombstones[id] && tombstones[id] >= lastEdit) return;
+      tasks.push(task);
+    });
+
+    const cutoff = now - SYNC_TOMBSTONE_DAYS * 24 * 60 * 60 * 1000;
+    Object.keys(tombstones).forEach((id) => {
+      if (tombstones[id] < cutoff) delete tombstones[id];
+    });
+    tasks.sort((x, y) => (y.createdAt || 0) - (x.createdAt || 0));
+    return { tasks, tombstones };
   }
 
-  extractDomain(url) {
-    try {
-      // Handle special URLs like chrome://, chrome-extension://, about:, file://
-      if (url.startsWith('chrome://') || url.startsWith('chrome-extension://') || 
-          url.startsWith('about:') || url.startsWith('file://')) {
-        // Return the protocol part without trailing slash for consistency
-        if (url.startsWith('chrome://')) return 'chrome://';
-        if (url.startsWith('chrome-extension://')) return 'chrome-extension://';
-        if (url.startsWith('about:')) return 'about:';
-        if (url.startsWith('file://')) return 'file://';
+  mergeTask(a, b) {
+    const merged = { ...a, clock: {} };
+    TASK_SYNC_FIELDS.forEach((field) => {
+      const aAt = this.taskFieldClock(a, field);
+      const bAt = this.taskFieldClock(b, field);
+      const source = this.remoteWins(aAt, a[field], bAt, b[field]) ? b : a;
+      if (field in source) {
+        merged[field] = source[field];
+      } else {
+        delete merged[field];
       }
-      
-      const urlObj = new URL(url);
-      return urlObj.hostname.replace('www.', '');
-    } catch {
-      return 'unknown';
-    }
+      merged.clock[field] = Math.max(aAt, bAt);
+    });
+    return merged;
   }
 
-  isDomainExcluded(domain) {
-    const excludedDomains = ['chrome://', 'chrome-extension://', 'about:', 'file://'];
-    return excludedDomains.some(excluded => domain.includes(excluded) || domain === '');
+  // Per-day domain totals in seconds, without URLs. Smaller sites are folded
+  // into one entry to keep the document small.
+  async buildDeviceSummary(device, dayCount = SYNC_DAYS) {
+    const today = this.getDayKey();
+    const dates = Array.from({ length: dayCount }, (_, i) => this.shiftDayKey(today, -i));
+    const stored = await this.storage.get(dates.map((date) => `visits_${date}`));
+    const days = {};
+    dates.forEach((date) => {
+      const visits = stored[`visits_${date}`];
+      if (!visits) return;
+      const day = {};
+      Object.entries(visits)
+        .sort(([, a], [, b]) => (b.totalTime || 0) - (a.totalTime || 0))
+        .forEach(([domain, entry], index) => {
+          const name = index < SYNC_DOMAINS_PER_DAY ? domain : SYNC_OTHER_SITES;
+          if (!day[name]) day[name] = [0, 0];
+          const row = day[name];
+          row[0] += Math.round((entry.totalTime || 0) / 1000);
+          row[1] += entry.visitCount || 0;
+        });
+      days[date] = day;
+    });
+    return { name: device.name, days };
   }
 
-  async saveVisitData(domain, duration, url) {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const key = `visits_${today}`;
-      
-      const result = await chrome.storage.local.get(key);
-      const visits = result[key] || {};
-      
-      if (!visits[domain]) {
-        visits[domain] = {
-          totalTime: 0,
-          visitCount: 0,
-          urls: {}
+  async getRemoteDevices() {
+    if (!chrome.storage.sync) return [];
+    const { syncDevice } = await this.storage.get('syncDevice');
+    const remote = await chrome.storage.sync.get(null);
+    return Object.keys(remote)
+      .filter((key) => /^sync_device_[a-z0-9]+$/.test(key))
+      .map((key) => {
+        const id = key.slice('sync_device_'.length);
+        const doc = this.readSyncDocument(remote, key);
+        return doc && {
+          id,
+          name: doc.name || id,
+          updatedAt: remote[key].updatedAt || null,
+          current: !!syncDevice && syncDevice.id === id,
+          days: doc.days || {}
         };
-      }
-
-      visits[domain].totalTime += duration;
-      visits[domain].visitCount += 1;
-      
-      if (!visits[domain].urls[url]) {
-        visits[domain].urls[url] = 0;
-      }
-      visits[domain].urls[url] += duration;
+      })
+      .filter(Boolean);
+  }
 
-      await chrome.storage.local.set({ [key]: visits });
-      
-      // Update real-time statistics
-      this.updateStatistics(domain, duration);
-      
-    } catch (error) {
-      console.error('Error saving visit data:', error);
-    }
+  // Today's buckets of this device plus the synced totals of the others
+  // `devices` can be passed in when merging many days at once
+  async addRemoteDays(date, visits, devices = null) {
+    const combined = {};
+    Object.entries(visits).forEach(([domain, entry]) => {
+      combined[domain] = { ...entry };
+    });
+    (devices || await this.getRemoteDevices()).forEach((device) => {
+      if (device.current) return;
+      Object.entries(device.days[date] || {}).forEach(([domain, [seconds, visitCount]]) => {
+        if (!combined[domain]) combined[domain] = { totalTime: 0, visitCount: 0, idleTime: 0, urls: {} };
+        const entry = combined[domain];
+        entry.totalTime += seconds * 1000;
+        entry.visitCount += visitCount;
+      });
+    });
+    return combined;
   }
 
-  async updateStatistics(domain, duration) {
+  async getSyncStatus() {
     try {
-      const result = await chrome.storage.local.get('statistics');
-      const stats = result.statistics || {
-        totalTime: 0,
-        totalVisits: 0,
-        domains: {},
-        lastUpdated: Date.now()
+      const { settings, syncStatus } = await this.storage.get(['settings', 'syncStatus']);
+      const enabled = !!(settings && settings.syncEnabled);
+      const devices = enabled ? await this.getRemoteDevices() : [];
+      return {
+        available: !!chrome.storage.sync,
+        enabled,
+        lastSyncAt: syncStatus ? syncStatus.lastSyncAt : null,
+        error: syncStatus ? syncStatus.error : null,
+        devices: devices.map(({ id, name, updatedAt, current }) => ({ id, name, updatedAt, current }))
       };
+    } catch (error) {
+      console.error('Error reading sync status:', error);
+      return { available: false, enabled: false, devices: [] };
+    }
+  }
 
-      stats.totalTime += duration;
-      stats.totalVisits += 1;
-      stats.lastUpdated = Date.now();
+  // JSON with object keys sorted, so equal data always compares (and
+  // chunks) the same on every device
+  stableJSON(value) {
+    return JSON.stringify(value, (key, val) => (
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.fromEntries(Object.keys(val).sort().map((k) => [k, val[k]]))
+        : val
+    ));
+  }
 
-      if (!stats.domains[domain]) {
-        stats.domains[domain] = {
-          totalTime: 0,
-          visitCount: 0
-        };
-      }
+  isSyncKeyOf(key, prefix) {
+    return key === prefix || key.startsWith(`${prefix}.`);
+  }
 
-      stats.domains[domain].totalTime += duration;
-      stats.domains[domain].visitCount += 1;
+  // `${prefix}` holds the chunk count, `${prefix}.0`, `${prefix}.1`, ... the
+  // document's JSON. Non-ASCII is escaped so a chunk's size in bytes is known.
+  chunkForSync(prefix, value) {
+    const json = this.stableJSON(value).replace(/[\u007f-\uffff]/g, (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, '0')}`);
+    const items = {};
+    let count = 0;
+    for (let i = 0; i < json.length; i += SYNC_CHUNK_CHARS) {
+      items[`${prefix}.${count}`] = json.slice(i, i + SYNC_CHUNK_CHARS);
+      count++;
+    }
+    items[prefix] = { chunks: count };
+    return items;
+  }
 
-      await chrome.storage.local.set({ statistics: stats });
+  readSyncDocument(remote, prefix) {
+    const header = remote[prefix];
+    if (!header || !header.chunks) return null;
+    let json = '';
+    for (let i = 0; i < header.chunks; i++) {
+      const chunk = remote[`${prefix}.${i}`];
+      // Another device is part-way through a write; the next change event
+      // brings the rest
+      if (typeof chunk !== 'string') return null;
+      json += chunk;
+    }
+    try {
+      return JSON.parse(json);
     } catch (error) {
-      console.error('Error updating statistics:', error);
+      return null;
     }
   }
 
-  updateBadge(domain) {
-    if (!domain) {
-      chrome.action.setBadgeText({ text: '' });
-      return;
+  syncSize(entries) {
+    return entries.reduce((sum, [key, value]) => sum + key.length + JSON.stringify(value).length, 0);
+  }
+
+  // Writes only the chunks that differ, so an unchanged document costs no
+  // part of the hourly write quota
+  async writeSyncItems(remote, prefix, items) {
+    const changed = {};
+    Object.entries(items).forEach(([key, value]) => {
+      if (key !== prefix && remote[key] !== value) changed[key] = value;
+    });
+    const header = remote[prefix];
+    if (Object.keys(changed).length > 0 || !header || header.chunks !== items[prefix].chunks) {
+      changed[prefix] = { ...items[prefix], updatedAt: Date.now() };
     }
+    const stale = Object.keys(remote).filter((key) => this.isSyncKeyOf(key, prefix) && !(key in items));
 
-    const shortDomain = domain.substring(0, 4).toUpperCase();
-    chrome.action.setBadgeText({ text: shortDomain });
-    chrome.action.setBadgeBackgroundColor({ color: '#303b39' });
+    Object.entries(changed).forEach(([key, value]) => this.syncWrites.set(key, JSON.stringify(value)));
+    stale.forEach((key) => this.syncWrites.set(key, undefined));
+    if (Object.keys(changed).length > 0) await chrome.storage.sync.set(changed);
+    if (stale.length > 0) await chrome.storage.sync.remove(stale);
   }
 
-  async loadStoredData() {
-    try {
-      const result = await chrome.storage.local.get(['settings', 'statistics', 'pomodoro', 'tasks']);
-      if (result.settings) {
-        this.isTrackingEnabled = result.settings.trackingEnabled;
-      }
-      if (result.pomodoro) {
-        this.pomodoro = { ...this.pomodoro, ...result.pomodoro };
-      } else {
-        await chrome.storage.local.set({ pomodoro: this.pomodoro });
-      }
-      if (!result.tasks) {
-        await chrome.storage.local.set({ tasks: [] });
-      }
-    } catch (error) {
-      console.error('Error loading stored data:', error);
-    }
+  // True when a storage.sync change event only echoes this device's writes
+  isOwnSyncChange(changes) {
+    return Object.entries(changes).every(([key, change]) => (
+      this.syncWrites.has(key) && this.syncWrites.get(key) === JSON.stringify(change.newValue)
+    ));
   }
 
-  // Public API for popup and other components
-  async getDailyStats(date = new Date().toISOString().split('T')[0]) {
-    try {
-      const key = `visits_${date}`;
-      const result = await chrome.storage.local.get(key);
-      return result[key] || {};
-    } catch (error) {
-      console.error('Error getting daily stats:', error);
-      return {};
+  applyBackupSchedule(frequency) {
+    const period = BACKUP_FREQUENCIES[frequency];
+    if (!period) {
+      chrome.alarms.clear('backup-auto');
+      return;
     }
+    chrome.alarms.get('backup-auto', (alarm) => {
+      if (!alarm || alarm.periodInMinutes !== period) {
+        chrome.alarms.create('backup-auto', { delayInMinutes: 1, periodInMinutes: period });
+      }
+    });
   }
 
-  async getStatistics() {
-    try {
-      const result = await chrome.storage.local.get('statistics');
-      return result.statistics || {
-        totalTime: 0,
-        totalVisits: 0,
-        domains: {},
-        lastUpdated: Date.now()
-      };
-    } catch (error) {
-      console.error('Error getting statistics:', error);
-      return { totalTime: 0, totalVisits: 0, domains: {} };
+  getBackupKeep(settings) {
+    return Math.max(1, parseInt(settings && settings.backupKeep, 10) || DEFAULT_BACKUP_KEEP);
+  }
+
+  // Fingerprint of everything a backup would contain except bookkeeping keys,
+  // so an unchanged install does not produce identical files
+  async hashBackupData(data) {
+    const relevant = { ...data };
+    BACKUP_VOLATILE_KEYS.forEach((key) => delete relevant[key]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.stableJSON(relevant)));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  backupNow(force = false) {
+    if (!this.backingUp) {
+      this.backingUp = this.runBackup(force).finally(() => {
+        this.backingUp = null;
+      });
     }
+    return this.backingUp;
   }
 
-  async clearData() {
+  // Writes the exportData output to BACKUP_FOLDER in the downloads folder and
+  // deletes the oldest files this job created beyond the configured count
+  async runBackup(force) {
+    const now = Date.now();
     try {
-      await chrome.storage.local.clear();
-      this.setDefaultSettings();
-      return true;
+      if (!chrome.downloads) throw new Error('Downloads are not available');
+      const data = await this.storage.get(null);
+      const status = data.backupStatus || {};
+      const hash = await this.hashBackupData(data);
+      if (!force && status.hash === hash) {
+        await this.storage.set({ backupStatus: { ...status, lastCheckedAt: now, error: null } });
+        return { success: true, skipped: true };
+      }
+
+      const content = await this.exportData();
+      if (content === null) throw new Error('Could not read the stored data');
+      const stamp = new Date(now);
+      const time = `${String(stamp.getHours()).padStart(2, '0')}${String(stamp.getMinutes()).padStart(2, '0')}`;
+      const filename = `${BACKUP_FOLDER}/usage-tracker-backup-${this.getDayKey(now)}-${time}.json`;
+      // Service workers cannot create blob URLs
+      const url = typeof URL.createObjectURL === 'function'
+        ? URL.createObjectURL(new Blob([content], { type: 'application/json' }))
+        : `data:application/json;base64,${this.toBase64(new TextEncoder().encode(content))}`;
+      const downloadId = await chrome.downloads.download({ url, filename, conflictAction: 'uniquify', saveAs: false });
+      if (url.startsWith('blob:')) setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+
+      const files = [...(status.files || []), { id: downloadId, filename, createdAt: now }];
+      const expired = files.splice(0, Math.max(0, files.length - this.getBackupKeep(data.settings)));
+      // The rotation list is saved first so that the new file is tracked even
+      // if deleting the old ones fails
+      await this.storage.set({
+        backupStatus: { lastBackupAt: now, lastCheckedAt: now, filename, hash, files, error: null }
+      });
+      for (const file of expired) {
+        // The file or its download entry may already be gone
+        try {
+          await chrome.downloads.removeFile(file.id);
+        } catch (error) {
+          console.error(`Could not delete old backup ${file.filename}:`, error);
+        }
+        try {
+          await chrome.downloads.erase({ id: file.id });
+        } catch (error) {
+          console.error(`Could not erase the download entry of ${file.filename}:`, error);
+        }
+      }
+      return { success: true, skipped: false, filename };
     } catch (error) {
-      console.error('Error clearing data:', error);
-      return false;
+      console.error('Error writing backup:', error);
+      await this.storage.update('backupStatus', (stored) => ({
+        backupStatus: { ...(stored.backupStatus || {}), lastCheckedAt: now, error: error.message }
+      }));
+      return { success: false, error: error.message };
     }
   }
 
-  async exportData() {
+  async getBackupStatus() {
     try {
-      const data = await chrome.storage.local.get();
-      return JSON.stringify(data, null, 2);
+      const { settings, backupStatus } = await this.storage.get(['settings', 'backupStatus']);
+      const status = backupStatus || {};
+      const frequency = BACKUP_FREQUENCIES[settings && settings.backupFrequency] ? settings.backupFrequency : 'off';
+      const alarm = frequency === 'off' ? null : await chrome.alarms.get('backup-auto');
+      return {
+        available: !!chrome.downloads,
+        frequency,
+        keep: this.getBackupKeep(settings),
+        folder: BACKUP_FOLDER,
+        lastBackupAt: status.lastBackupAt || null,
+        lastCheckedAt: status.lastCheckedAt || null,
+        filename: status.filename || null,
+        files: (status.files || []).length,
+        error: status.error || null,
+        nextRunAt: alarm ? alarm.scheduledTime : null
+      };
     } catch (error) {
-      console.error('Error exporting data:', error);
-      return null;
+      console.error('Error reading backup status:', error);
+      return { available: false, frequency: 'off', error: error.message };
     }
   }
+
 }
 
 // Initialize the tracker
@@ -319,69 +3624,118 @@ const tracker = new UsageTracker();
 // Handle messages from popup and content scripts
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request && request.type === 'pageEvent') {
-    try {
-      const tabId = sender && sender.tab ? sender.tab.id : undefined;
-      const url = request.url;
-      const domain = tracker.extractDomain(url);
-      if (!tabId || tracker.isDomainExcluded(domain)) {
-        sendResponse({ ok: false });
-        return true;
-      }
-
-      const prev = tracker.sessionData.get(tabId);
-      const ts = request.timestamp;
-
-      if (!prev || prev.url !== url) {
-        tracker.sessionData.set(tabId, { lastTimestamp: ts, url });
-        sendResponse({ ok: true });
-        return true;
-      }
-
-      const delta = Math.max(0, Math.min(ts - prev.lastTimestamp, 60000));
-      if (delta >= 5000) {
-        tracker.saveVisitData(domain, delta, url);
-      }
-      tracker.sessionData.set(tabId, { lastTimestamp: ts, url });
-      sendResponse({ ok: true });
-      return true;
-    } catch {
-      sendResponse({ ok: false });
-      return true;
-    }
+    tracker.handlePageEvent(request, sender).then(sendResponse);
+    return true;
   }
 
   switch (request.action) {
     case 'getDailyStats':
-      tracker.getDailyStats(request.date).then(sendResponse);
+      tracker.getDailyStats(request.date, request.scope).then(sendResponse);
       return true;
     case 'getStatistics':
       tracker.getStatistics().then(sendResponse);
       return true;
+    case 'getRangeStats':
+      tracker.restored.then(() => tracker.getRangeStats(request.from, request.to, request.scope)).then(sendResponse);
+      return true;
+    case 'getCategoryStats':
+      tracker.restored.then(() => tracker.getCategoryStats(request.dates, request.scope)).then(sendResponse);
+      return true;
+    case 'categories:get':
+      tracker.getCategoryOverview().then(sendResponse);
+      return true;
+    case 'getSessions':
+      tracker.getSessions(request.from, request.to).then(sendResponse);
+      return true;
+    case 'ledger:debug':
+      tracker.restored.then(() => sendResponse(tracker.getLedgerDebug()));
+      return true;
+    case 'budgets:status':
+      tracker.restored.then(() => tracker.getBudgetStatus()).then(sendResponse);
+      return true;
+    case 'budgets:snooze':
+      tracker.snoozeBudget(request.budgetId, request.domain).then(sendResponse);
+      return true;
+    case 'goals:status':
+      tracker.restored.then(() => tracker.getGoalStatus()).then(sendResponse);
+      return true;
+    case 'focus:status':
+      tracker.getFocusStatus().then(sendResponse);
+      return true;
+    case 'getMonthlyStats':
+      tracker.getMonthlyStats(request.month).then(sendResponse);
+      return true;
     case 'clearData':
       tracker.clearData().then(sendResponse);
       return true;
     case 'exportData':
       tracker.exportData().then(sendResponse);
       return true;
+    case 'exportEncrypted':
+      tracker.exportEncrypted(request.passphrase).then(sendResponse);
+      return true;
+    case 'decryptBackup':
+      tracker.decryptBackup(request.data, request.passphrase).then(sendResponse);
+      return true;
+    case 'export:report':
+      tracker.exportReport(request.options).then(sendResponse);
+      return true;
+    case 'backup:status':
+      tracker.restored.then(() => tracker.getBackupStatus()).then(sendResponse);
+      return true;
+    case 'backup:now':
+      tracker.restored.then(() => tracker.backupNow(true)).then(sendResponse);
+      return true;
+    case 'storage:report':
+      tracker.restored.then(() => tracker.getStorageReport()).then(sendResponse);
+      return true;
+    case 'storage:compact':
+      tracker.restored.then(() => tracker.compactUrls(request.keep)).then(sendResponse);
+      return true;
+    case 'sync:status':
+      tracker.restored.then(() => tracker.getSyncStatus()).then(sendResponse);
+      return true;
+    case 'sync:now':
+      tracker.restored.then(() => tracker.syncNow()).then(sendResponse);
+      return true;
+    case 'rebuildStatistics':
+      tracker.rebuildStatistics().then(sendResponse);
+      return true;
+    case 'import:preview':
+      tracker.previewImport(request.data).then(sendResponse);
+      return true;
+    case 'import:apply':
+      tracker.restored.then(() => tracker.importData(request.data, request.strategy)).then(sendResponse);
+      return true;
     case 'toggleTracking':
-      tracker.isTrackingEnabled = request.enabled;
-      if (!tracker.isTrackingEnabled) {
-        tracker.stopTrackingAllTabs();
-      }
-      sendResponse({ success: true });
+      tracker.setTrackingEnabled(!!request.enabled).then(() => sendResponse({ success: true }));
+      return true;
+    case 'exclusions:test':
+      tracker.restored.then(() => {
+        sendResponse({
+          valid: request.rule === undefined || !!tracker.compileExclusionRule(request.rule),
+          rule: request.url ? tracker.matchExclusionRule(request.url) : null
+        });
+      });
+      return true;
+    case 'exclusions:purge':
+      tracker.purgeExcludedData(request.rules || [request.rule]).then(sendResponse);
       return true;
     case 'getSettings':
-      chrome.storage.local.get('settings').then((res) => {
+      tracker.storage.get('settings').then((res) => {
         sendResponse({ settings: res.settings || {} });
       });
       return true;
-    case 'saveSettings':
-      chrome.storage.local.get('settings').then((res) => {
+    case 'saveSettings': {
+      const incoming = request.settings || {};
+      let merged = {};
+      let wasSyncing = false;
+      tracker.storage.update(['settings', 'settingsClock'], (res) => {
         const existing = res.settings || {};
-        const incoming = request.settings || {};
-        const merged = { ...existing };
+        wasSyncing = !!existing.syncEnabled;
+        merged = { ...existing };
 
-        ['trackingEnabled', 'dailyGoal', 'dataRetentionDays', 'excludedDomains'].forEach((key) => {
+        ['trackingEnabled', 'dailyGoal', 'dataRetentionDays', 'excludedDomains', 'idleThresholdSeconds', 'dayStartHour', 'categories', 'domainCategories', 'budgets', 'focusBlocklist', 'goalType', 'badgeMode', 'syncEnabled', 'autoCompactUrls', 'urlsPerDomain', 'backupFrequency', 'backupKeep'].forEach((key) => {
           if (Object.prototype.hasOwnProperty.call(incoming, key)) {
             const val = incoming[key];
             if (val === undefined || (Array.isArray(val) && val.length === 0)) {
@@ -391,35 +3745,87 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
             }
           }
         });
-
-        chrome.storage.local.set({ settings: merged }).then(() => {
-          tracker.isTrackingEnabled = !!merged.trackingEnabled;
-          sendResponse({ success: true });
-        });
+        return { settings: merged, settingsClock: tracker.stampSettingsClock(res.settingsClock, existing, merged) };
+      }).then(() => {
+        tracker.isTrackingEnabled = !!merged.trackingEnabled;
+        tracker.applyIdleThreshold(merged.idleThresholdSeconds);
+        tracker.applyDayStartHour(merged.dayStartHour);
+        tracker.applyExclusionRules(merged.excludedDomains);
+        tracker.applyBudgets(merged.budgets);
+        tracker.applyFocusBlocklist(merged.focusBlocklist);
+        tracker.applyBadgeMode(merged.badgeMode);
+        tracker.updateBadge();
+        tracker.updateContextMenus();
+        // Re-evaluate the open span against the new rules
+        if (tracker.ledger.current) tracker.trackFocusedTab('settings');
+        if (Object.prototype.hasOwnProperty.call(incoming, 'dataRetentionDays')) {
+          tracker.pruneOldData();
+        }
+        tracker.applyBackupSchedule(merged.backupFrequency);
+        tracker.applySync(merged.syncEnabled);
+        if (merged.syncEnabled && !wasSyncing) {
+          tracker.syncNow();
+        } else if (!merged.syncEnabled && wasSyncing) {
+          tracker.leaveSync();
+        } else {
+          tracker.scheduleSync();
+        }
+        sendResponse({ success: true });
       });
       return true;
+    }
     default:
       return false;
   }
 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm && alarm.name === 'tracker-checkpoint') {
+    await tracker.restored;
+    await tracker.persistState();
+    await tracker.checkDailyGoal();
+    // The checkpoint cadence is also the badge refresh cadence
+    await tracker.updateBadge();
+  }
+  if (alarm && (alarm.name === 'sync-periodic' || alarm.name === 'sync-soon')) {
+    await tracker.restored;
+    await tracker.syncNow();
+  }
+  if (alarm && alarm.name === 'retention-prune') {
+    await tracker.pruneOldData();
+  }
+  if (alarm && alarm.name === 'backup-auto') {
+    await tracker.restored;
+    await tracker.backupNow();
+  }
+  if (alarm && alarm.name === 'storage-check') {
+    await tracker.restored;
+    await tracker.checkStorageQuota();
+  }
   if (alarm && alarm.name === 'pomodoro-end') {
-    const res = await chrome.storage.local.get('pomodoro');
-    const state = res.pomodoro || {};
-    let next = { ...state };
+    let state = {};
+    let next = {};
+    await tracker.storage.update('pomodoro', (res) => {
+      state = res.pomodoro || {};
+      next = { ...state };
+      if (state.mode === 'work') {
+        next.focusSession = null;
+        next.sessionsCompleted = (state.sessionsCompleted || 0) + 1;
+        const useLong = next.sessionsCompleted % (state.sessionsBeforeLong || 4) === 0;
+        next.mode = 'break';
+        next.remainingMs = useLong ? (state.longBreakMs || 900000) : (state.breakMs || 300000);
+      } else {
+        next.mode = 'work';
+        next.remainingMs = state.workMs || 1500000;
+        next.focusSession = { start: Date.now(), distractions: [] };
+      }
+      next.isRunning = true;
+      next.lastUpdated = Date.now();
+      return { pomodoro: next };
+    });
     if (state.mode === 'work') {
-      next.sessionsCompleted = (state.sessionsCompleted || 0) + 1;
-      const useLong = next.sessionsCompleted % (state.sessionsBeforeLong || 4) === 0;
-      next.mode = 'break';
-      next.remainingMs = useLong ? (state.longBreakMs || 900000) : (state.breakMs || 300000);
-    } else {
-      next.mode = 'work';
-      next.remainingMs = state.workMs || 1500000;
+      await tracker.logFocusSession(state.focusSession, true);
     }
-    next.isRunning = true;
-    next.lastUpdated = Date.now();
-    await chrome.storage.local.set({ pomodoro: next });
     chrome.alarms.create('pomodoro-end', { when: Date.now() + next.remainingMs });
     if (chrome.notifications) {
       chrome.notifications.create('pomodoro-notify', {
@@ -430,9 +3836,14 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       });
     }
   }
+  if (alarm && alarm.name && alarm.name.startsWith('site-pause-')) {
+    await tracker.restored;
+    await tracker.setSitePaused(alarm.name.slice('site-pause-'.length), false);
+    tracker.updateContextMenus();
+  }
   if (alarm && alarm.name && alarm.name.startsWith('task-due-')) {
     const id = alarm.name.slice('task-due-'.length);
-    const res = await chrome.storage.local.get('tasks');
+    const res = await tracker.storage.get('tasks');
     const tasks = res.tasks || [];
     const task = tasks.find((t) => t.id === id);
     if (task && chrome.notifications) {
@@ -453,10 +3864,56 @@ function getPomodoroRemaining(state) {
   return Math.max(0, (state.remainingMs || 0) - delta);
 }
 
+// Shared by the popup's Start button and the toggle-pomodoro shortcut
+async function startPomodoro(settings, remainingMs) {
+  let next;
+  await tracker.storage.update('pomodoro', (res) => {
+    const s = { ...res.pomodoro, ...settings };
+    const remaining = remainingMs != null ? remainingMs : s.remainingMs;
+    next = { ...s, isRunning: true, remainingMs: remaining, lastUpdated: Date.now() };
+    if (next.mode !== 'break' && !next.focusSession) {
+      next.focusSession = { start: Date.now(), distractions: [] };
+    }
+    return { pomodoro: next };
+  });
+  await chrome.alarms.clear('pomodoro-end');
+  chrome.alarms.create('pomodoro-end', { when: Date.now() + next.remainingMs });
+  return next;
+}
+
+async function pausePomodoro() {
+  let next;
+  await tracker.storage.update('pomodoro', (res) => {
+    const s = res.pomodoro || {};
+    next = { ...s, isRunning: false, remainingMs: getPomodoroRemaining(s), lastUpdated: Date.now() };
+    return { pomodoro: next };
+  });
+  await chrome.alarms.clear('pomodoro-end');
+  return next;
+}
+
+// Shared by the popup's to-do list and the "Add this page as a task" menu
+async function addTask({ text, dueAt, url }) {
+  const t = {
+    id: `${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
+    text: text || '',
+    done: false,
+    createdAt: Date.now(),
+    dueAt: dueAt || null
+  };
+  if (url) t.url = url;
+  await tracker.storage.update('tasks', (res) => ({ tasks: [t, ...(res.tasks || [])] }));
+  tracker.scheduleSync();
+  if (t.dueAt && t.dueAt > Date.now()) {
+    chrome.alarms.create(`task-due-${t.id}`, { when: t.dueAt });
+  }
+  return t;
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   switch (request.action) {
     case 'pomodoro:get': {
-      chrome.storage.local.get('pomodoro').then((res) => {
+      tracker.storage.get('pomodoro').then((res) => {
         const s = res.pomodoro || {};
         const remaining = getPomodoroRemaining(s);
         sendResponse({ state: { ...s, remainingMs: remaining } });
@@ -464,28 +3921,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       return true;
     }
     case 'pomodoro:start': {
-      chrome.storage.local.get('pomodoro').then((res) => {
-        const s = { ...res.pomodoro, ...request.settings };
-        const remaining = request.remainingMs != null ? request.remainingMs : s.remainingMs;
-        const next = { ...s, isRunning: true, remainingMs: remaining, lastUpdated: Date.now() };
-        chrome.storage.local.set({ pomodoro: next }).then(() => {
-          chrome.alarms.clear('pomodoro-end').then(() => {
-            chrome.alarms.create('pomodoro-end', { when: Date.now() + next.remainingMs });
-            sendResponse({ success: true });
-          });
-        });
-      });
+      startPomodoro(request.settings, request.remainingMs).then(() => sendResponse({ success: true }));
       return true;
     }
     case 'pomodoro:pause': {
-      chrome.storage.local.get('pomodoro').then((res) => {
-        const s = res.pomodoro || {};
-        const remaining = getPomodoroRemaining(s);
-        const next = { ...s, isRunning: false, remainingMs: remaining, lastUpdated: Date.now() };
-        chrome.storage.local.set({ pomodoro: next }).then(() => {
-          chrome.alarms.clear('pomodoro-end').then(() => sendResponse({ success: true }));
-        });
-      });
+      pausePomodoro().then(() => sendResponse({ success: true }));
       return true;
     }
     case 'pomodoro:reset': {
@@ -496,89 +3936,92 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sessionsCompleted: 0,
         lastUpdated: Date.now()
       };
-      chrome.storage.local.get('pomodoro').then((res) => {
-        const s = { ...res.pomodoro, ...defaults };
-        chrome.storage.local.set({ pomodoro: s }).then(() => {
-          chrome.alarms.clear('pomodoro-end').then(() => sendResponse({ success: true }));
-        });
+      let session = null;
+      tracker.storage.update('pomodoro', (res) => {
+        session = res.pomodoro && res.pomodoro.focusSession;
+        return { pomodoro: { ...res.pomodoro, ...defaults, focusSession: null } };
+      }).then(async () => {
+        await tracker.logFocusSession(session, false);
+        await chrome.alarms.clear('pomodoro-end');
+        sendResponse({ success: true });
       });
       return true;
     }
     case 'pomodoro:updateSettings': {
-      chrome.storage.local.get('pomodoro').then((res) => {
-        const s = res.pomodoro || {};
-        const next = { ...s, ...request.settings };
-        chrome.storage.local.set({ pomodoro: next }).then(() => sendResponse({ success: true }));
-      });
+      tracker.storage.update('pomodoro', (res) => ({
+        pomodoro: { ...(res.pomodoro || {}), ...request.settings }
+      })).then(() => sendResponse({ success: true }));
       return true;
     }
     case 'tasks:list': {
-      chrome.storage.local.get('tasks').then((res) => {
+      tracker.storage.get('tasks').then((res) => {
         sendResponse({ tasks: res.tasks || [] });
       });
       return true;
     }
     case 'tasks:add': {
-      chrome.storage.local.get('tasks').then((res) => {
-        const tasks = res.tasks || [];
-        const t = {
-          id: `${Date.now()}_${Math.random().toString(36).slice(2,8)}`,
-          text: request.text || '',
-          done: false,
-          createdAt: Date.now(),
-          dueAt: request.dueAt || null
-        };
-        const next = [t, ...tasks];
-        chrome.storage.local.set({ tasks: next }).then(() => {
-          if (t.dueAt && t.dueAt > Date.now()) {
-            chrome.alarms.create(`task-due-${t.id}`, { when: t.dueAt });
-          }
-          sendResponse({ task: t });
-        });
-      });
+      addTask({ text: request.text, dueAt: request.dueAt, url: request.url }).then((task) => sendResponse({ task }));
       return true;
     }
     case 'tasks:toggle': {
-      chrome.storage.local.get('tasks').then((res) => {
-        const tasks = (res.tasks || []).map((t) => t.id === request.id ? { ...t, done: !t.done } : t);
-        const updated = tasks.find((t) => t.id === request.id);
-        chrome.storage.local.set({ tasks }).then(() => {
-          if (updated) {
-            const name = `task-due-${updated.id}`;
-            if (updated.done) {
-              chrome.alarms.clear(name);
-            } else if (updated.dueAt && updated.dueAt > Date.now()) {
-              chrome.alarms.create(name, { when: updated.dueAt });
-            }
+      let updated = null;
+      tracker.storage.update('tasks', (res) => {
+        const tasks = (res.tasks || []).map((t) => t.id === request.id
+          ? { ...t, done: !t.done, clock: { ...t.clock, done: Date.now() } }
+          : t);
+        updated = tasks.find((t) => t.id === request.id);
+        return { tasks };
+      }).then(() => {
+        if (updated) {
+          const name = `task-due-${updated.id}`;
+          if (updated.done) {
+            chrome.alarms.clear(name);
+          } else if (updated.dueAt && updated.dueAt > Date.now()) {
+            chrome.alarms.create(name, { when: updated.dueAt });
           }
-          sendResponse({ success: true });
-        });
+        }
+        tracker.scheduleSync();
+        sendResponse({ success: true });
       });
       return true;
     }
     case 'tasks:delete': {
-      chrome.storage.local.get('tasks').then((res) => {
-        const tasks = (res.tasks || []).filter((t) => t.id !== request.id);
-        chrome.storage.local.set({ tasks }).then(() => {
-          chrome.alarms.clear(`task-due-${request.id}`);
-          sendResponse({ success: true });
-        });
+      tracker.storage.update(['tasks', 'taskTombstones'], (res) => ({
+        tasks: (res.tasks || []).filter((t) => t.id !== request.id),
+        taskTombstones: { ...res.taskTombstones, [request.id]: Date.now() }
+      })).then(() => {
+        chrome.alarms.clear(`task-due-${request.id}`);
+        tracker.scheduleSync();
+        sendResponse({ success: true });
       });
       return true;
     }
     case 'tasks:clearCompleted': {
-      chrome.storage.local.get('tasks').then((res) => {
+      let done = [];
+      tracker.storage.update(['tasks', 'taskTombstones'], (res) => {
         const all = res.tasks || [];
-        const tasks = all.filter((t) => !t.done);
-        chrome.storage.local.set({ tasks }).then(() => {
-          all.forEach((t) => { if (t.done) chrome.alarms.clear(`task-due-${t.id}`); });
-          sendResponse({ success: true });
-        });
+        const now = Date.now();
+        const taskTombstones = { ...res.taskTombstones };
+        done = all.filter((t) => t.done);
+        done.forEach((t) => { taskTombstones[t.id] = now; });
+        return { tasks: all.filter((t) => !t.done), taskTombstones };
+      }).then(() => {
+        done.forEach((t) => chrome.alarms.clear(`task-due-${t.id}`));
+        tracker.scheduleSync();
+        sendResponse({ success: true });
       });
       return true;
     }
     case 'tasks:clearAll': {
-      chrome.storage.local.set({ tasks: [] }).then(() => sendResponse({ success: true }));
+      tracker.storage.update(['tasks', 'taskTombstones'], (res) => {
+        const now = Date.now();
+        const taskTombstones = { ...res.taskTombstones };
+        (res.tasks || []).forEach((t) => { taskTombstones[t.id] = now; });
+        return { tasks: [], taskTombstones };
+      }).then(() => {
+        tracker.scheduleSync();
+        sendResponse({ success: true });
+      });
       return true;
     }
     default:
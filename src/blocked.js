@@ -0,0 +1,68 @@
+// Focus mode block page for Chrome Usage Tracker
+// Shown in place of blocklisted sites during a running Pomodoro work phase
+
+class BlockedPage {
+  constructor() {
+    this.blockedUrl = new URLSearchParams(window.location.search).get('url') || '';
+    this.init();
+  }
+
+  init() {
+    const site = document.getElementById('focusSite');
+    if (site && this.blockedUrl) {
+      site.textContent = this.getHost(this.blockedUrl);
+    }
+    this.refresh();
+    this.timer = setInterval(() => this.refresh(), 1000);
+  }
+
+  async refresh() {
+    try {
+      const status = await chrome.runtime.sendMessage({ action: 'focus:status' });
+      if (!status) return;
+
+      document.getElementById('focusRemaining').textContent = this.formatRemaining(status.remainingMs);
+
+      const task = document.getElementById('focusTask');
+      task.hidden = !status.task;
+      document.getElementById('focusTaskText').textContent = status.task || '';
+
+      document.getElementById('focusDistractions').textContent = status.distractions > 0
+        ? `Blocked ${status.distractions} time${status.distractions === 1 ? '' : 's'} this session`
+        : '';
+
+      // Once the work phase is over (or paused) the site is reachable again
+      if (!status.active) {
+        clearInterval(this.timer);
+        document.getElementById('focusTitle').textContent = status.mode === 'break' ? 'Break time' : 'Focus paused';
+        this.showContinue();
+      }
+    } catch (error) {
+      console.error('Error loading focus status:', error);
+    }
+  }
+
+  showContinue() {
+    const link = document.getElementById('focusContinue');
+    if (!link || !/^https?:/i.test(this.blockedUrl)) return;
+    link.href = this.blockedUrl;
+    link.hidden = false;
+  }
+
+  formatRemaining(ms) {
+    const total = Math.max(0, Math.ceil((ms || 0) / 1000));
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return url;
+    }
+  }
+}
+
+new BlockedPage();
@@ -56,6 +56,10 @@ class PageTracker {
     this.heartbeatTimer = setInterval(() => {
       if (this.isVisible && this.isUserActive()) {
         this.sendHeartbeat();
+      } else if (this.isVisible) {
+        // Watching a video or reading without input still uses up a budget,
+        // so the page keeps asking for its budget state
+        this.sendPageEvent('budgetCheck');
       }
     }, this.heartbeatInterval);
   }
@@ -78,10 +82,18 @@ class PageTracker {
       activeTime: this.getActiveTime()
     };
 
+    this.sendMessage(message, (response) => {
+      if (response && response.budget) {
+        this.applyBudget(response.budget);
+      }
+    });
+  }
+
+  sendMessage(message, onResponse = () => {}) {
     // Send message to background script
     try {
       if (typeof browserAPI !== 'undefined' && browserAPI.runtime && browserAPI.runtime.sendMessage) {
-        browserAPI.runtime.sendMessage(message).catch((error) => {
+        browserAPI.runtime.sendMessage(message).then(onResponse).catch((error) => {
           if (!error || !error.message || !/context invalidated/i.test(error.message)) {
             console.warn('sendMessage warning:', error);
           }
@@ -97,7 +109,9 @@ class PageTracker {
           }
           if (err) {
             console.warn('sendMessage warning:', err.message);
+            return;
           }
+          onResponse(response);
         });
       }
     } catch (e) {
@@ -105,6 +119,83 @@ class PageTracker {
     }
   }
 
+  // The background reports the budget state of this site with every page
+  // event; an exhausted budget covers the page until the user snoozes it
+  applyBudget(budget) {
+    if (budget.blocked) {
+      this.showBlockOverlay(budget);
+    } else {
+      this.removeBlockOverlay();
+    }
+  }
+
+  showBlockOverlay(budget) {
+    if (this.blockOverlay) return;
+
+    const host = document.createElement('div');
+    host.id = 'usage-tracker-block';
+    host.style.cssText = 'position:fixed;inset:0;z-index:2147483647;';
+    const root = host.attachShadow({ mode: 'closed' });
+    const limitMinutes = Math.round(budget.limit / 60000);
+    const usedMinutes = Math.round(budget.used / 60000);
+
+    root.innerHTML = `
+      <style>
+        .screen {
+          position: fixed;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: rgba(15, 23, 42, 0.96);
+          color: #f8fafc;
+          font: 16px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          text-align: center;
+        }
+        h1 { font-size: 28px; margin: 0 0 8px; }
+        p { margin: 0 0 24px; color: #cbd5e1; }
+        button {
+          padding: 10px 20px;
+          border: none;
+          border-radius: 6px;
+          background: #3b82f6;
+          color: #fff;
+          font-size: 15px;
+          cursor: pointer;
+        }
+        button:hover { background: #2563eb; }
+      </style>
+      <div class="screen">
+        <div>
+          <h1></h1>
+          <p></p>
+          <button type="button">${budget.snoozeMinutes} more minutes</button>
+        </div>
+      </div>
+    `;
+    root.querySelector('h1').textContent = `Time's up for ${budget.target}`;
+    root.querySelector('p').textContent = `You've used ${usedMinutes} of your ${limitMinutes} minute daily budget.`;
+    root.querySelector('button').addEventListener('click', () => {
+      this.sendMessage({ action: 'budgets:snooze', budgetId: budget.id, domain: window.location.hostname }, () => {
+        this.removeBlockOverlay();
+        // Re-check when the snooze runs out even if the user is only watching
+        setTimeout(() => {
+          if (this.isVisible) this.sendHeartbeat();
+        }, budget.snoozeMinutes * 60 * 1000 + 1000);
+      });
+    });
+
+    document.documentElement.appendChild(host);
+    this.blockOverlay = host;
+    document.querySelectorAll('video, audio').forEach((media) => media.pause());
+  }
+
+  removeBlockOverlay() {
+    if (!this.blockOverlay) return;
+    this.blockOverlay.remove();
+    this.blockOverlay = null;
+  }
+
   getActiveTime() {
     return Date.now() - this.startTime;
   }
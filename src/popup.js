@@ -6,6 +6,7 @@ class PopupManager {
     this.currentTab = 'today';
     this.charts = {};
     this.settings = {};
+    this.deviceScope = 'device';
     
     this.init();
   }
@@ -15,6 +16,14 @@ class PopupManager {
     this.setupEventListeners();
     this.loadData();
     this.setupCharts();
+    this.loadBackupStatus();
+
+    // Opened from the "Show this site's stats" menu entry
+    const site = new URLSearchParams(window.location.search).get('site');
+    if (site) {
+      document.getElementById('sitesSearch').value = site;
+      this.switchTab('sites');
+    }
   }
 
   setupEventListeners() {
@@ -28,8 +37,45 @@ class PopupManager {
     document.getElementById('toggleTracking').addEventListener('click', this.toggleTracking.bind(this));
     document.getElementById('refreshData').addEventListener('click', this.refreshData.bind(this));
     document.getElementById('openFullscreen').addEventListener('click', this.openFullscreen.bind(this));
-    document.getElementById('exportData').addEventListener('click', this.exportData.bind(this));
+    document.getElementById('exportData').addEventListener('click', this.openExport.bind(this));
+    document.getElementById('backupNow').addEventListener('click', this.backupNow.bind(this));
+    document.getElementById('backupFrequency').addEventListener('change', this.saveBackupSettings.bind(this));
+    document.getElementById('backupKeep').addEventListener('change', this.saveBackupSettings.bind(this));
+    document.getElementById('exportConfirm').addEventListener('click', this.exportData.bind(this));
+    document.getElementById('exportCancel').addEventListener('click', this.closeExport.bind(this));
+    document.getElementById('exportClose').addEventListener('click', this.closeExport.bind(this));
+    document.getElementById('exportFormat').addEventListener('change', (e) => {
+      const format = e.target.value;
+      document.getElementById('exportTableOptions').hidden = format === 'json' || format === 'encrypted';
+      document.getElementById('exportPassphraseOptions').hidden = format !== 'encrypted';
+    });
     document.getElementById('clearData').addEventListener('click', this.clearData.bind(this));
+    document.getElementById('rebuildStatistics').addEventListener('click', this.rebuildStatistics.bind(this));
+    document.getElementById('syncEnabled').addEventListener('change', this.toggleSync.bind(this));
+    document.getElementById('autoCompactUrls').addEventListener('change', this.saveStorageSettings.bind(this));
+    document.getElementById('urlsPerDomain').addEventListener('change', this.saveStorageSettings.bind(this));
+    document.getElementById('compactUrls').addEventListener('click', this.compactUrls.bind(this));
+    document.getElementById('syncNow').addEventListener('click', this.syncNow.bind(this));
+    document.getElementById('rangePreset').addEventListener('change', this.changeRangePreset.bind(this));
+    document.getElementById('rangeFrom').addEventListener('change', this.loadRangeData.bind(this));
+    document.getElementById('rangeTo').addEventListener('change', this.loadRangeData.bind(this));
+    document.getElementById('deviceScope').addEventListener('change', (e) => {
+      this.deviceScope = e.target.value;
+      if (this.currentTab === 'week') {
+        this.loadRangeData();
+      } else {
+        this.refreshData();
+      }
+    });
+    document.getElementById('importData').addEventListener('click', () => document.getElementById('importFile').click());
+    document.getElementById('importFile').addEventListener('change', this.previewImport.bind(this));
+    document.getElementById('importConfirm').addEventListener('click', this.applyImport.bind(this));
+    document.getElementById('importUnlockButton').addEventListener('click', this.unlockImport.bind(this));
+    document.getElementById('importPassphrase').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.unlockImport();
+    });
+    document.getElementById('importCancel').addEventListener('click', this.closeImport.bind(this));
+    document.getElementById('importClose').addEventListener('click', this.closeImport.bind(this));
 
     // Search functionality
     document.getElementById('sitesSearch').addEventListener('input', this.filterSites.bind(this));
@@ -38,6 +84,8 @@ class PopupManager {
     const pr = document.getElementById('pomodoroReset');
     if (pt) pt.addEventListener('click', this.pomodoroToggle.bind(this));
     if (pr) pr.addEventListener('click', this.pomodoroReset.bind(this));
+    const fra = document.getElementById('focusRuleAdd');
+    if (fra) fra.addEventListener('click', this.addFocusRule.bind(this));
 
     const ta = document.getElementById('todoAdd');
     const tc = document.getElementById('todoClearCompleted');
@@ -46,6 +94,30 @@ class PopupManager {
     if (tc) tc.addEventListener('click', this.todoClearCompleted.bind(this));
     if (tca) tca.addEventListener('click', this.todoClearAll.bind(this));
 
+    const ss = document.getElementById('saveSettings');
+    if (ss) ss.addEventListener('click', this.saveSettingsTab.bind(this));
+
+    const era = document.getElementById('exclusionRuleAdd');
+    const eri = document.getElementById('exclusionRuleInput');
+    const etu = document.getElementById('exclusionTestUrl');
+    if (era) era.addEventListener('click', this.addExclusionRule.bind(this));
+    if (eri) eri.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.addExclusionRule();
+    });
+    if (etu) etu.addEventListener('input', this.testExclusionUrl.bind(this));
+
+    const ba = document.getElementById('budgetAdd');
+    if (ba) ba.addEventListener('click', this.addBudget.bind(this));
+
+    const ca = document.getElementById('categoryAdd');
+    const dca = document.getElementById('domainCategoryAdd');
+    if (ca) ca.addEventListener('click', this.addCategory.bind(this));
+    if (dca) dca.addEventListener('click', () => {
+      const domain = document.getElementById('domainCategoryDomain').value.trim().toLowerCase().replace(/^www\./, '');
+      const category = document.getElementById('domainCategorySelect').value;
+      if (domain && category) this.assignCategory(domain, category);
+    });
+
     const ti = document.getElementById('todoInput');
     if (ti) ti.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') this.todoAdd();
@@ -68,15 +140,26 @@ class PopupManager {
         trackingEnabled: true,
         dailyGoal: 480,
         excludedDomains: ['chrome://', 'chrome-extension://', 'about:'],
-        dataRetentionDays: 30
+        dataRetentionDays: 30,
+        idleThresholdSeconds: 60,
+        dayStartHour: 0
       };
       this.updateTrackingButton();
+      this.updateDeviceScope();
     } catch (error) {
       console.error('Error loading settings:', error);
       this.settings = { trackingEnabled: true };
     }
   }
 
+  // The scope picker only makes sense when other devices report totals
+  updateDeviceScope() {
+    const select = document.getElementById('deviceScope');
+    select.hidden = !this.settings.syncEnabled;
+    if (!this.settings.syncEnabled) this.deviceScope = 'device';
+    select.value = this.deviceScope;
+  }
+
   updateTrackingButton() {
     const button = document.getElementById('toggleTracking');
     if (this.settings.trackingEnabled) {
@@ -127,18 +210,23 @@ class PopupManager {
         this.loadTodayData();
         break;
       case 'week':
-        this.loadWeekData();
+        this.loadRangeData();
         break;
       case 'sites':
         this.loadSitesData();
         break;
       case 'pomodoro':
         this.loadPomodoroData();
+        this.renderFocusBlocklist();
         break;
       case 'todo':
         this.loadTasks();
         break;
+      case 'settings':
+        this.loadSettingsTab();
+        break;
       case 'about':
+        this.loadLedgerDebug();
         break;
     }
   }
@@ -149,17 +237,36 @@ class PopupManager {
 
   async loadTodayData() {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = this.getDayKey();
       const dailyStats = await chrome.runtime.sendMessage({ 
         action: 'getDailyStats', 
-        date: today 
+        date: today,
+        scope: this.deviceScope
       });
       
       const statistics = await chrome.runtime.sendMessage({ 
         action: 'getStatistics' 
       });
 
-      this.updateTodayOverview(dailyStats, statistics);
+      const dayStart = this.getDayStart();
+      const sessions = await chrome.runtime.sendMessage({
+        action: 'getSessions',
+        from: dayStart,
+        to: this.getNextDayStart(dayStart)
+      });
+
+      const categoryStats = await chrome.runtime.sendMessage({
+        action: 'getCategoryStats',
+        dates: [today],
+        scope: this.deviceScope
+      });
+      const todayCategories = categoryStats && categoryStats.days ? categoryStats.days[today] : null;
+      const goal = await chrome.runtime.sendMessage({ action: 'goals:status' });
+
+      this.renderTimeline(sessions || [], dayStart);
+      this.updateTodayOverview(dailyStats, statistics, goal);
+      this.renderProductivityScore(todayCategories);
+      this.renderCategoryList('todayCategories', todayCategories);
       this.renderTodayChart(dailyStats);
       this.renderTodaySitesList(dailyStats);
     } catch (error) {
@@ -167,7 +274,7 @@ class PopupManager {
     }
   }
 
-  updateTodayOverview(dailyStats, statistics) {
+  updateTodayOverview(dailyStats, statistics, goal) {
     let todayTime = 0;
     let sitesCount = 0;
     let visitsCount = 0;
@@ -183,64 +290,160 @@ class PopupManager {
     document.getElementById('todayTime').textContent = this.formatDuration(todayTime);
     document.getElementById('sitesCount').textContent = sitesCount;
     document.getElementById('visitsCount').textContent = visitsCount;
+    if (goal) this.renderGoalProgress(goal);
   }
 
-  async loadWeekData() {
-    try {
-      const msg = async (payload) => {
-        try {
-          if (chrome && chrome.runtime && typeof chrome.runtime.sendMessage === 'function') {
-            return await chrome.runtime.sendMessage(payload);
-          }
-          return null;
-        } catch (e) {
-          return null;
+  renderGoalProgress(goal) {
+    const percent = goal.goalMs > 0 ? Math.round((goal.valueMs / goal.goalMs) * 100) : 0;
+    const fill = document.getElementById('goalRingFill');
+    if (fill) {
+      fill.setAttribute('stroke-dasharray', `${Math.min(100, percent)} 100`);
+      fill.classList.toggle('over', goal.type === 'max' && !goal.met);
+    }
+    const text = document.getElementById('goalRingText');
+    if (text) text.textContent = `${percent}%`;
+
+    const title = document.getElementById('goalTitle');
+    if (title) title.textContent = goal.type === 'min' ? 'Productive time goal' : 'Daily browsing limit';
+    const progress = document.getElementById('goalProgress');
+    if (progress) {
+      progress.textContent = `${this.formatDuration(goal.valueMs)} of ${this.formatDuration(goal.goalMs)}`;
+    }
+    const streak = document.getElementById('goalStreak');
+    if (streak) {
+      streak.textContent = `Streak: ${goal.streak} day${goal.streak === 1 ? '' : 's'} · Best: ${goal.bestStreak}`;
+    }
+
+    const history = document.getElementById('goalHistory');
+    if (history) {
+      history.innerHTML = '';
+      (goal.history || []).forEach(day => {
+        const dot = document.createElement('span');
+        let state = '';
+        if (day.met !== null) {
+          state = day.met ? (day.final ? 'met' : 'pending') : 'missed';
         }
-      };
-      const weekData = await this.getWeekData(msg);
-      this.renderWeekChart(weekData);
-      this.renderWeekSummary(weekData);
+        dot.className = `goal-day ${state}`;
+        dot.title = `${day.date}: ${day.met === null ? 'no data' : (day.met ? 'goal met' : 'goal missed')}`;
+        history.appendChild(dot);
+      });
+    }
+  }
+
+  async loadRangeData() {
+    try {
+      const { from, to } = this.getSelectedRange();
+      this.lastRange = { from, to };
+      const range = await chrome.runtime.sendMessage({ action: 'getRangeStats', from, to, scope: this.deviceScope });
+      const notice = document.getElementById('rangeNotice');
+      if (!range || range.error) {
+        notice.textContent = range ? range.error : 'Could not load this range.';
+        return;
+      }
+
+      const notes = [];
+      if (range.archived.days > 0) {
+        notes.push(`Includes monthly totals for ${range.archived.days} older days, which are not shown per day.`);
+      }
+      if (range.unavailableDays > 0) {
+        notes.push(`${range.unavailableDays} older days are only kept as totals for a month that extends past this range and are left out.`);
+      }
+      notice.textContent = notes.join(' ');
+
+      const buckets = this.bucketRangeDays(range.days);
+      this.renderRangeChart(buckets);
+      this.renderCategoryList('weekCategories', range.categories);
+      this.renderRangeSummary(range, buckets);
+      this.renderRangeSitesList(range.domains);
     } catch (error) {
-      console.error('Error loading week data:', error);
+      console.error('Error loading range data:', error);
     }
   }
 
-  async getWeekData(msg) {
-    const weekData = [];
-    const today = new Date();
-    
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      let dailyStats = {};
-      try {
-        if (msg) {
-          const resp = await msg({ action: 'getDailyStats', date: dateStr });
-          dailyStats = resp || {};
-        } else {
-          dailyStats = await chrome.runtime.sendMessage({ action: 'getDailyStats', date: dateStr });
-        }
-      } catch {
-        dailyStats = {};
+  // Presets end today; "custom" reads the two date inputs
+  getSelectedRange() {
+    const preset = document.getElementById('rangePreset').value;
+    const today = this.getDayKey();
+    const [year, month, day] = today.split('-').map(Number);
+    // Weeks start on Monday
+    const weekStart = this.shiftDayKey(today, -((new Date(year, month - 1, day).getDay() + 6) % 7));
+
+    switch (preset) {
+      case 'today':
+        return { from: today, to: today };
+      case 'yesterday':
+        return { from: this.shiftDayKey(today, -1), to: this.shiftDayKey(today, -1) };
+      case 'this-week':
+        return { from: weekStart, to: today };
+      case 'last-week':
+        return { from: this.shiftDayKey(weekStart, -7), to: this.shiftDayKey(weekStart, -1) };
+      case 'this-month':
+        return { from: `${today.slice(0, 7)}-01`, to: today };
+      case 'last-30':
+        return { from: this.shiftDayKey(today, -29), to: today };
+      case 'custom': {
+        const from = document.getElementById('rangeFrom').value || today;
+        const to = document.getElementById('rangeTo').value || today;
+        return from <= to ? { from, to } : { from: to, to: from };
       }
-      
-      let totalTime = 0;
-      if (dailyStats) {
-        Object.values(dailyStats).forEach(site => {
-          totalTime += site.totalTime || 0;
+      default:
+        return { from: this.shiftDayKey(today, -6), to: today };
+    }
+  }
+
+  shiftDayKey(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const d = new Date(year, month - 1, day + days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  changeRangePreset() {
+    const custom = document.getElementById('rangePreset').value === 'custom';
+    document.getElementById('rangeCustom').hidden = !custom;
+    if (custom) {
+      const current = this.lastRange || this.getSelectedRange();
+      document.getElementById('rangeFrom').value = current.from;
+      document.getElementById('rangeTo').value = current.to;
+    }
+    this.loadRangeData();
+  }
+
+  // One bar per day for up to a month, then per week, then per month
+  bucketRangeDays(days) {
+    const toDate = (key) => {
+      const [year, month, day] = key.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    };
+    if (days.length <= 31) {
+      return days.map((day) => ({
+        label: days.length <= 7
+          ? toDate(day.date).toLocaleDateString('en-US', { weekday: 'short' })
+          : String(toDate(day.date).getDate()),
+        name: toDate(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' }),
+        totalTime: day.totalTime,
+        score: day.score
+      }));
+    }
+
+    const byWeek = days.length <= 183;
+    const buckets = [];
+    days.forEach((day, index) => {
+      const date = toDate(day.date);
+      const starts = index === 0 || (byWeek ? date.getDay() === 1 : date.getDate() === 1);
+      if (starts) {
+        const label = byWeek
+          ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+          : date.toLocaleDateString('en-US', { month: 'short' });
+        buckets.push({
+          label,
+          name: byWeek ? `Week of ${label}` : date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+          totalTime: 0,
+          score: null
         });
       }
-      
-      weekData.push({
-        date: dateStr,
-        dayName: date.toLocaleDateString('en-US', { weekday: 'short' }),
-        totalTime: totalTime
-      });
-    }
-    
-    return weekData;
+      buckets[buckets.length - 1].totalTime += day.totalTime;
+    });
+    return buckets;
   }
 
   async loadSitesData() {
@@ -250,6 +453,7 @@ class PopupManager {
       });
       
       this.renderSitesList(statistics.domains || {});
+      if (document.getElementById('sitesSearch').value) this.filterSites();
     } catch (error) {
       console.error('Error loading sites data:', error);
     }
@@ -278,20 +482,91 @@ class PopupManager {
     this.drawPieChart(ctx, canvas, data);
   }
 
-  renderWeekChart(weekData) {
+  renderTimeline(sessions, dayStart) {
+    const container = document.getElementById('todayTimeline');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const dayLength = this.getNextDayStart(dayStart) - dayStart;
+    const axis = document.getElementById('todayTimelineAxis');
+    if (axis) {
+      axis.innerHTML = [0, 6, 12, 18, 24]
+        .map(h => `<span>${String((this.getDayStartHour() + h) % 24).padStart(2, '0')}:00</span>`)
+        .join('');
+    }
+    sessions.forEach(session => {
+      const start = Math.max(session.start, dayStart);
+      const end = Math.min(session.end, dayStart + dayLength);
+      if (end <= start) return;
+
+      const block = document.createElement('div');
+      block.className = 'timeline-block';
+      block.style.left = `${((start - dayStart) / dayLength) * 100}%`;
+      block.style.width = `${((end - start) / dayLength) * 100}%`;
+      block.style.background = this.colorForDomain(session.domain);
+      block.title = `${session.domain} · ${this.formatClock(session.start)}–${this.formatClock(session.end)}` +
+        (session.title ? `\n${session.title}` : '');
+      container.appendChild(block);
+    });
+  }
+
+  getDayStartHour() {
+    const hour = parseInt(this.settings.dayStartHour, 10);
+    return Number.isFinite(hour) && hour >= 0 && hour < 24 ? hour : 0;
+  }
+
+  // Mirrors the background's day bucketing: local days starting at dayStartHour
+  getDayStart(ts = Date.now()) {
+    const d = new Date(ts);
+    if (d.getHours() < this.getDayStartHour()) {
+      d.setDate(d.getDate() - 1);
+    }
+    d.setHours(this.getDayStartHour(), 0, 0, 0);
+    return d.getTime();
+  }
+
+  getNextDayStart(dayStart) {
+    const d = new Date(dayStart);
+    d.setDate(d.getDate() + 1);
+    d.setHours(this.getDayStartHour(), 0, 0, 0);
+    return d.getTime();
+  }
+
+  getDayKey(ts = Date.now()) {
+    const d = new Date(this.getDayStart(ts));
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  colorForDomain(domain) {
+    const palette = this.generateColors(10);
+    let hash = 0;
+    for (let i = 0; i < domain.length; i++) {
+      hash = (hash * 31 + domain.charCodeAt(i)) >>> 0;
+    }
+    return palette[hash % palette.length];
+  }
+
+  formatClock(ts) {
+    const d = new Date(ts);
+    return `${String(d.getHours()).padStart(2,'0')}:${String(d.getMinutes()).padStart(2,'0')}`;
+  }
+
+  renderRangeChart(buckets) {
     const canvas = document.getElementById('weekChart');
     if (!canvas) return;
     const parent = canvas.parentElement;
     const width = parent ? parent.clientWidth : canvas.offsetWidth;
     if (!width || width === 0) {
-      requestAnimationFrame(() => this.renderWeekChart(weekData));
+      requestAnimationFrame(() => this.renderRangeChart(buckets));
       return;
     }
     canvas.width = width;
     canvas.height = 240;
     const ctx = canvas.getContext('2d');
-    const labels = weekData.map(d => d.dayName);
-    const values = weekData.map(d => d.totalTime);
+    const labels = buckets.map(b => b.label);
+    const values = buckets.map(b => b.totalTime);
     const colors = this.generateColors(labels.length);
     this.drawBarChart(ctx, canvas, labels, values, colors);
   }
@@ -367,6 +642,9 @@ class PopupManager {
     const maxValue = Math.max(...values);
     const barWidth = (canvas.width - 40) / labels.length;
     const maxBarHeight = canvas.height - 60;
+    // Narrow bars (long ranges) skip the values and label every few bars
+    const showValues = barWidth >= 40;
+    const labelEvery = Math.ceil(24 / barWidth);
     
     labels.forEach((label, index) => {
       const value = values[index];
@@ -381,10 +659,10 @@ class PopupManager {
       ctx.fillStyle = '#222';
       ctx.font = '10px sans-serif';
       ctx.textAlign = 'center';
-      ctx.fillText(this.formatDuration(value), x + barWidth / 2, y - 5);
+      if (showValues) ctx.fillText(this.formatDuration(value), x + barWidth / 2, y - 5);
       
       // Draw label
-      ctx.fillText(label, x + barWidth / 2, canvas.height - 10);
+      if (index % labelEvery === 0) ctx.fillText(label, x + barWidth / 2, canvas.height - 10);
     });
   }
 
@@ -397,6 +675,7 @@ class PopupManager {
         domain,
         totalTime: stats.totalTime,
         visitCount: stats.visitCount,
+        idleTime: stats.idleTime || 0,
         percentage: 0
       }))
       .sort((a, b) => b.totalTime - a.totalTime);
@@ -412,19 +691,18 @@ class PopupManager {
     });
   }
 
-  renderWeekSummary(weekData) {
+  renderRangeSummary(range, buckets) {
     const container = document.getElementById('weekSummary');
     container.innerHTML = '';
     
-    const totalWeekTime = weekData.reduce((sum, day) => sum + day.totalTime, 0);
-    const avgDailyTime = totalWeekTime / 7;
+    const avgDailyTime = range.days.length > 0 ? range.totalTime / range.days.length : 0;
     
     // Summary stats
     const summaryElement = document.createElement('div');
     summaryElement.innerHTML = `
       <div class="summary-item">
-        <span class="summary-label">Total Week Time:</span>
-        <span class="summary-time">${this.formatDuration(totalWeekTime)}</span>
+        <span class="summary-label">Total Time:</span>
+        <span class="summary-time">${this.formatDuration(range.totalTime)}</span>
       </div>
       <div class="summary-item">
         <span class="summary-label">Daily Average:</span>
@@ -432,37 +710,102 @@ class PopupManager {
       </div>
       <div class="summary-item">
         <span class="summary-label">Most Active Day:</span>
-        <span class="summary-time">${this.getMostActiveDay(weekData)}</span>
+        <span class="summary-time">${this.getMostActiveDay(range.days)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Score:</span>
+        <span class="summary-time">${range.categories.score === null ? '–' : range.categories.score}</span>
       </div>
     `;
     container.appendChild(summaryElement);
     
-    // Daily breakdown
+    // Breakdown per bar of the chart
     const breakdownElement = document.createElement('div');
     breakdownElement.style.marginTop = '16px';
-    breakdownElement.innerHTML = '<h4 style="margin-bottom: 12px; color: #2c3e50;">Daily Breakdown</h4>';
-    
-    weekData.forEach(day => {
-      const dayElement = document.createElement('div');
-      dayElement.className = 'summary-item';
-      dayElement.innerHTML = `
-        <span class="summary-day">${day.dayName}</span>
-        <span class="summary-time">${this.formatDuration(day.totalTime)}</span>
+    breakdownElement.innerHTML = '<h4 style="margin-bottom: 12px; color: #2c3e50;">Breakdown</h4>';
+    
+    buckets.forEach(bucket => {
+      const bucketElement = document.createElement('div');
+      bucketElement.className = 'summary-item';
+      const score = bucket.score !== null && bucket.score !== undefined ? ` · score ${bucket.score}` : '';
+      bucketElement.innerHTML = `
+        <span class="summary-day">${bucket.name}</span>
+        <span class="summary-time">${this.formatDuration(bucket.totalTime)}${score}</span>
       `;
-      breakdownElement.appendChild(dayElement);
+      breakdownElement.appendChild(bucketElement);
     });
     
     container.appendChild(breakdownElement);
   }
 
-  getMostActiveDay(weekData) {
-    if (weekData.length === 0) return 'N/A';
+  renderRangeSitesList(domains) {
+    const container = document.getElementById('rangeSitesList');
+    container.innerHTML = '';
+
+    const sites = Object.entries(domains)
+      .map(([domain, stats]) => ({
+        domain,
+        totalTime: stats.totalTime,
+        visitCount: stats.visitCount,
+        idleTime: stats.idleTime || 0,
+        avgTime: stats.visitCount > 0 ? stats.totalTime / stats.visitCount : 0,
+        percentage: 0
+      }))
+      .sort((a, b) => b.totalTime - a.totalTime);
+
+    const totalTime = sites.reduce((sum, site) => sum + site.totalTime, 0);
+    sites.forEach(site => {
+      site.percentage = totalTime > 0 ? Math.round((site.totalTime / totalTime) * 100) : 0;
+      container.appendChild(this.createSiteElement(site));
+    });
+  }
+
+  renderProductivityScore(summary) {
+    const el = document.getElementById('productivityScore');
+    if (!el) return;
+    const score = summary ? summary.score : null;
+    el.textContent = score === null || score === undefined ? '–' : score;
+    el.className = 'stat-value';
+    if (score !== null && score !== undefined) {
+      el.classList.add(score >= 60 ? 'score-good' : score >= 40 ? 'score-mid' : 'score-low');
+    }
+  }
+
+  renderCategoryList(containerId, summary) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.innerHTML = '';
+    if (!summary || !summary.totalTime) return;
+
+    Object.entries(summary.categories)
+      .sort(([, a], [, b]) => b.totalTime - a.totalTime)
+      .forEach(([name, category]) => {
+        const pct = Math.round((category.totalTime / summary.totalTime) * 100);
+        const weight = this.escapeHtml(String(category.weight));
+        const el = document.createElement('div');
+        el.className = 'category-item';
+        el.innerHTML = `
+          <div class="category-name">
+            <span class="category-dot weight-${weight}"></span>${this.escapeHtml(name)}
+          </div>
+          <div class="progress"><div class="progress-bar weight-${weight}" style="width:${pct}%"></div></div>
+          <div class="category-time">${this.formatDuration(category.totalTime)}</div>
+        `;
+        container.appendChild(el);
+      });
+  }
+
+  getMostActiveDay(days) {
+    const active = days.filter(day => day.totalTime > 0);
+    if (active.length === 0) return 'N/A';
     
-    const mostActive = weekData.reduce((max, day) => 
+    const mostActive = active.reduce((max, day) => 
       day.totalTime > max.totalTime ? day : max
     );
+    const [year, month, date] = mostActive.date.split('-').map(Number);
+    const name = new Date(year, month - 1, date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
     
-    return `${mostActive.dayName} (${this.formatDuration(mostActive.totalTime)})`;
+    return `${name} (${this.formatDuration(mostActive.totalTime)})`;
   }
 
   renderSitesList(domains) {
@@ -492,10 +835,11 @@ class PopupManager {
     element.className = 'site-item';
     const pct = site.percentage || 0;
     const color = this.generateColors(1)[0];
+    const idle = site.idleTime ? ` · ${this.formatDuration(site.idleTime)} idle` : '';
     element.innerHTML = `
       <div class="site-info">
         <div class="site-domain">${site.domain}</div>
-        <div class="site-url">${site.visitCount} visits</div>
+        <div class="site-url">${site.visitCount} visits${idle}</div>
         <div class="progress"><div class="progress-bar" style="width:${pct}%;background:${color}"></div></div>
       </div>
       <div class="site-stats">
@@ -534,20 +878,56 @@ class PopupManager {
     }, 1000);
   }
 
+  openExport() {
+    const from = document.getElementById('exportFrom');
+    const to = document.getElementById('exportTo');
+    if (!to.value) to.value = this.getDayKey();
+    if (!from.value) from.value = this.getDayKey(Date.now() - 29 * 24 * 60 * 60 * 1000);
+    document.getElementById('exportModal').classList.add('active');
+  }
+
+  closeExport() {
+    document.getElementById('exportPassphrase').value = '';
+    document.getElementById('exportPassphraseConfirm').value = '';
+    document.getElementById('exportModal').classList.remove('active');
+  }
+
   async exportData() {
     try {
-      const data = await chrome.runtime.sendMessage({ action: 'exportData' });
-      
-      if (data) {
-        const blob = new Blob([data], { type: 'application/json' });
+      const format = document.getElementById('exportFormat').value;
+      const passphrase = document.getElementById('exportPassphrase').value;
+      if (format === 'encrypted' && passphrase !== document.getElementById('exportPassphraseConfirm').value) {
+        alert('The passphrases do not match.');
+        return;
+      }
+
+      const report = await chrome.runtime.sendMessage({
+        action: 'export:report',
+        options: {
+          format,
+          passphrase: format === 'encrypted' ? passphrase : undefined,
+          from: document.getElementById('exportFrom').value,
+          to: document.getElementById('exportTo').value,
+          grouping: document.getElementById('exportGrouping').value,
+          durationUnit: document.getElementById('exportDuration').value
+        }
+      });
+
+      if (!report || report.error) {
+        alert(`Export failed: ${report ? report.error : 'no response'}`);
+        return;
+      }
+      if (report.content) {
+        const blob = new Blob([report.content], { type: report.mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `usage-tracker-data-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = report.filename;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
+        this.closeExport();
       }
     } catch (error) {
       console.error('Error exporting data:', error);
@@ -555,6 +935,163 @@ class PopupManager {
     }
   }
 
+  async previewImport(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        alert('This file is not valid JSON.');
+        return;
+      }
+
+      if (data && data.format === 'usage-tracker-encrypted') {
+        // The preview waits until the passphrase unlocks the file
+        this.pendingEnvelope = data;
+        this.renderImportLines('importSummary', []);
+        this.renderImportLines('importWarnings', []);
+        document.getElementById('importUnlock').hidden = false;
+        document.getElementById('importConfirm').disabled = true;
+        document.getElementById('importPassphrase').value = '';
+        document.getElementById('importModal').classList.add('active');
+        document.getElementById('importPassphrase').focus();
+        return;
+      }
+
+      await this.showImportPreview(data);
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      alert('Error reading the file. Please try again.');
+    }
+  }
+
+  async unlockImport() {
+    if (!this.pendingEnvelope) return;
+    const button = document.getElementById('importUnlockButton');
+    button.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'decryptBackup',
+        data: this.pendingEnvelope,
+        passphrase: document.getElementById('importPassphrase').value
+      });
+      if (!result || !result.success) {
+        this.renderImportLines('importWarnings', [result ? result.error : 'No response from the extension']);
+        return;
+      }
+      document.getElementById('importUnlock').hidden = true;
+      this.pendingEnvelope = null;
+      await this.showImportPreview(result.data);
+    } catch (error) {
+      console.error('Error decrypting backup:', error);
+      alert('Error decrypting the backup. Please try again.');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async showImportPreview(data) {
+    const preview = await chrome.runtime.sendMessage({ action: 'import:preview', data });
+    if (!preview || !preview.valid) {
+      this.closeImport();
+      alert(`This file cannot be imported: ${preview ? preview.error : 'no response'}`);
+      return;
+    }
+
+    this.pendingImport = data;
+    const summary = [
+      `${preview.days} days of activity (${preview.newDays} new, ${preview.overlappingDays} already tracked)`,
+      `${preview.domains} sites, ${preview.newDomains} not seen before`,
+      `${preview.tasks} tasks, ${preview.newTasks} new`
+    ];
+    if (preview.months > 0) summary.push(`${preview.months} monthly summaries`);
+    summary.push(preview.hasSettings ? 'Includes settings' : 'No settings');
+
+    this.renderImportLines('importSummary', summary);
+    this.renderImportLines('importWarnings', preview.warnings);
+    document.getElementById('importConfirm').disabled = false;
+    document.getElementById('importModal').classList.add('active');
+  }
+
+  renderImportLines(id, lines) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    lines.forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+  }
+
+  async applyImport() {
+    if (!this.pendingImport) return;
+    const strategy = document.querySelector('input[name="importStrategy"]:checked').value;
+    if (strategy === 'replace' && !confirm('Replace all current data with the file? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const result = await chrome.runtime.sendMessage({
+        action: 'import:apply',
+        data: this.pendingImport,
+        strategy
+      });
+      if (!result || !result.success) {
+        alert(`Import failed: ${result ? result.error : 'no response'}`);
+        return;
+      }
+      this.closeImport();
+      await this.loadSettings();
+      this.refreshData();
+      alert('Data imported successfully.');
+    } catch (error) {
+      console.error('Error importing data:', error);
+      alert('Error importing data. Please try again.');
+    }
+  }
+
+  closeImport() {
+    this.pendingImport = null;
+    this.pendingEnvelope = null;
+    document.getElementById('importPassphrase').value = '';
+    document.getElementById('importUnlock').hidden = true;
+    document.getElementById('importModal').classList.remove('active');
+  }
+
+  async rebuildStatistics() {
+    const list = document.getElementById('rebuildResult');
+    try {
+      const report = await chrome.runtime.sendMessage({ action: 'rebuildStatistics' });
+      if (!report || !report.success) {
+        alert(`Rebuild failed: ${report ? report.error : 'no response'}`);
+        return;
+      }
+
+      const lines = report.discrepancies.length === 0
+        ? [`All ${report.domains} sites matched their daily data.`]
+        : [
+          `Fixed ${report.discrepancies.length} of ${report.domains} sites; total changed by ${report.timeDifference < 0 ? '-' : '+'}${this.formatDuration(Math.abs(report.timeDifference))}.`,
+          ...report.discrepancies.slice(0, 5).map((entry) => (
+            `${entry.domain}: ${this.formatDuration(entry.storedTime)} → ${this.formatDuration(entry.rebuiltTime)}`
+          ))
+        ];
+      list.innerHTML = '';
+      lines.forEach((line) => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+      this.refreshData();
+    } catch (error) {
+      console.error('Error rebuilding statistics:', error);
+      alert('Error rebuilding statistics. Please try again.');
+    }
+  }
+
   async clearData() {
     if (confirm('Are you sure you want to clear all data? This action cannot be undone.')) {
       try {
@@ -593,7 +1130,7 @@ class PopupManager {
       if (this.currentTab === 'today') {
         this.loadTodayData();
       } else if (this.currentTab === 'week') {
-        this.loadWeekData();
+        this.loadRangeData();
       } else if (this.currentTab === 'sites') {
         this.loadSitesData();
       }
@@ -626,6 +1163,550 @@ class PopupManager {
     }
   }
 
+  loadSettingsTab() {
+    const idle = document.getElementById('idleThresholdSeconds');
+    if (idle) idle.value = this.settings.idleThresholdSeconds || 60;
+    const retention = document.getElementById('dataRetentionDays');
+    if (retention) retention.value = this.settings.dataRetentionDays || 30;
+    const dayStart = document.getElementById('dayStartHour');
+    if (dayStart) dayStart.value = this.getDayStartHour();
+    const dailyGoal = document.getElementById('dailyGoal');
+    if (dailyGoal) dailyGoal.value = this.settings.dailyGoal || 480;
+    const goalType = document.getElementById('goalType');
+    if (goalType) goalType.value = this.settings.goalType === 'min' ? 'min' : 'max';
+    const badgeMode = document.getElementById('badgeMode');
+    if (badgeMode) badgeMode.value = this.settings.badgeMode || 'site';
+    this.renderExclusionRules();
+    this.loadCategoryEditor();
+    this.loadBudgets();
+    this.loadSyncStatus();
+    this.loadStorageReport();
+  }
+
+  async loadBackupStatus() {
+    const line = document.getElementById('backupStatus');
+    try {
+      const status = await chrome.runtime.sendMessage({ action: 'backup:status' });
+      if (!status) return;
+      document.getElementById('backupFrequency').value = status.frequency;
+      document.getElementById('backupKeep').value = status.keep || 7;
+      document.getElementById('backupNow').disabled = !status.available;
+
+      const parts = [status.lastBackupAt ? `Last backup ${this.formatDateTime(status.lastBackupAt)}` : 'No backup yet'];
+      if (status.frequency !== 'off') {
+        parts.push(status.nextRunAt ? `next ${status.frequency} run ${this.formatDateTime(status.nextRunAt)}` : `${status.frequency} backups on`);
+      }
+      line.textContent = parts.join(' · ');
+      if (status.error) line.textContent += ` · Last attempt failed: ${status.error}`;
+      line.classList.toggle('error', !!status.error);
+    } catch (error) {
+      console.error('Error loading backup status:', error);
+    }
+  }
+
+  async saveBackupSettings() {
+    const backupKeep = Math.min(100, Math.max(1, parseInt(document.getElementById('backupKeep').value, 10) || 7));
+    const settings = { backupFrequency: document.getElementById('backupFrequency').value, backupKeep };
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+      this.settings = { ...this.settings, ...settings };
+      await this.loadBackupStatus();
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+    }
+  }
+
+  async backupNow() {
+    const button = document.getElementById('backupNow');
+    button.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'backup:now' });
+      if (!result || !result.success) {
+        alert(`Backup failed: ${result ? result.error : 'no response'}`);
+      }
+    } catch (error) {
+      console.error('Error writing backup:', error);
+      alert('Error writing backup. Please try again.');
+    }
+    button.disabled = false;
+    await this.loadBackupStatus();
+  }
+
+  async loadStorageReport() {
+    const usage = document.getElementById('storageUsage');
+    if (!usage) return;
+    try {
+      const report = await chrome.runtime.sendMessage({ action: 'storage:report' });
+      if (!report || !report.success) {
+        usage.textContent = 'Storage usage is not available.';
+        return;
+      }
+
+      const percent = Math.min(100, Math.round(report.bytesInUse / report.quotaBytes * 100));
+      const fill = document.getElementById('storageMeterFill');
+      fill.style.width = `${percent}%`;
+      fill.classList.toggle('warn', report.nearQuota);
+      usage.textContent = `${this.formatBytes(report.bytesInUse)} of ${this.formatBytes(report.quotaBytes)} used (${percent}%)`
+        + (report.nearQuota ? ' – nearly full' : '');
+
+      this.renderStorageList('storageFamilies', report.families.map((entry) => (
+        `${entry.family}: ${this.formatBytes(entry.bytes)} in ${entry.keys} ${entry.keys === 1 ? 'key' : 'keys'}`
+      )));
+      this.renderStorageList('storageDays', report.largestDays.map((day) => (
+        `${day.date}: ${this.formatBytes(day.bytes)}, ${day.domains} sites, ${day.urls} pages`
+      )));
+      this.renderStorageList('storageDomains', report.largestDomains.map((site) => (
+        `${site.domain}: ${this.formatBytes(site.bytes)}, ${site.urls} pages over ${site.days} ${site.days === 1 ? 'day' : 'days'}`
+      )));
+      document.getElementById('urlsPerDomain').value = report.urlsPerDomain;
+      document.getElementById('autoCompactUrls').checked = report.autoCompactUrls;
+    } catch (error) {
+      console.error('Error loading storage report:', error);
+    }
+  }
+
+  renderStorageList(id, lines) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    lines.forEach((line) => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      list.appendChild(item);
+    });
+  }
+
+  async saveStorageSettings() {
+    const urlsPerDomain = Math.min(1000, Math.max(1, parseInt(document.getElementById('urlsPerDomain').value, 10) || 50));
+    const settings = {
+      urlsPerDomain,
+      autoCompactUrls: document.getElementById('autoCompactUrls').checked
+    };
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+      this.settings = { ...this.settings, ...settings };
+      document.getElementById('urlsPerDomain').value = urlsPerDomain;
+    } catch (error) {
+      console.error('Error saving storage settings:', error);
+    }
+  }
+
+  async compactUrls() {
+    const keep = parseInt(document.getElementById('urlsPerDomain').value, 10) || 50;
+    if (!confirm(`Keep only the ${keep} most-viewed pages of each site per day? The other page addresses are deleted; their time is kept under "(other pages)".`)) {
+      return;
+    }
+    try {
+      await this.saveStorageSettings();
+      const result = await chrome.runtime.sendMessage({ action: 'storage:compact', keep });
+      if (!result || !result.success) {
+        alert(`Compacting failed: ${result ? result.error : 'no response'}`);
+        return;
+      }
+      alert(result.urlsRemoved === 0
+        ? 'Nothing to compact.'
+        : `Folded ${result.urlsRemoved} pages on ${result.domains} sites and freed ${this.formatBytes(result.bytesSaved)}.`);
+      await this.loadStorageReport();
+    } catch (error) {
+      console.error('Error compacting URLs:', error);
+      alert('Error compacting data. Please try again.');
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${bytes} B`;
+  }
+
+  async loadSyncStatus() {
+    const list = document.getElementById('syncStatus');
+    if (!list) return;
+    try {
+      const status = await chrome.runtime.sendMessage({ action: 'sync:status' });
+      document.getElementById('syncEnabled').checked = !!(status && status.enabled);
+      document.getElementById('syncEnabled').disabled = !(status && status.available);
+      document.getElementById('syncNow').disabled = !(status && status.enabled);
+
+      const lines = [];
+      if (!status || !status.available) {
+        lines.push('Sync is not available in this browser.');
+      } else if (status.enabled) {
+        lines.push(status.lastSyncAt ? `Last synced ${this.formatDateTime(status.lastSyncAt)}` : 'Not synced yet.');
+        if (status.error) lines.push(`Last attempt failed: ${status.error}`);
+        status.devices.forEach((device) => {
+          const seen = device.updatedAt ? ` – updated ${this.formatDateTime(device.updatedAt)}` : '';
+          lines.push(`${device.name}${device.current ? ' (this device)' : ''}${seen}`);
+        });
+      }
+      list.innerHTML = '';
+      lines.forEach((line) => {
+        const item = document.createElement('li');
+        item.textContent = line;
+        list.appendChild(item);
+      });
+    } catch (error) {
+      console.error('Error loading sync status:', error);
+    }
+  }
+
+  async toggleSync(e) {
+    const syncEnabled = e.target.checked;
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { syncEnabled } });
+      this.settings = { ...this.settings, syncEnabled };
+      this.updateDeviceScope();
+      await this.loadSyncStatus();
+    } catch (error) {
+      console.error('Error saving sync setting:', error);
+      e.target.checked = !syncEnabled;
+    }
+  }
+
+  async syncNow() {
+    const button = document.getElementById('syncNow');
+    button.disabled = true;
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'sync:now' });
+      if (result && result.success && result.changed.length > 0) {
+        await this.loadSettings();
+        this.refreshData();
+      }
+    } catch (error) {
+      console.error('Error syncing:', error);
+    }
+    await this.loadSyncStatus();
+  }
+
+  async loadBudgets() {
+    const container = document.getElementById('budgetList');
+    if (!container) return;
+    try {
+      const budgets = await chrome.runtime.sendMessage({ action: 'budgets:status' }) || [];
+      container.innerHTML = '';
+      budgets.forEach(budget => {
+        const weekend = budget.weekend !== undefined && budget.weekend !== '' && budget.weekend !== null
+          ? ` / ${this.escapeHtml(String(budget.weekend))}m weekends`
+          : '';
+        const used = budget.limit === null
+          ? 'no limit today'
+          : `${this.formatDuration(budget.used)} of ${this.formatDuration(budget.limit)} used today`;
+        const snoozes = budget.snoozes > 0 ? `, ${budget.snoozes} snooze${budget.snoozes === 1 ? '' : 's'}` : '';
+        const el = document.createElement('div');
+        el.className = 'rule-item';
+        el.innerHTML = `
+          <span>
+            ${this.escapeHtml(budget.target)}${budget.type === 'category' ? ' (category)' : ''} · ${this.escapeHtml(String(budget.weekday))}m${weekend}
+            <div class="setting-hint">${used}${snoozes}</div>
+          </span>
+          <button class="btn btn-danger">Remove</button>
+        `;
+        el.querySelector('button').addEventListener('click', () => {
+          const next = (this.settings.budgets || []).filter(b => !(b.type === budget.type && b.target === budget.target));
+          this.saveBudgets(next);
+        });
+        container.appendChild(el);
+      });
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+    }
+  }
+
+  async addBudget() {
+    const type = document.getElementById('budgetType').value;
+    const targetInput = document.getElementById('budgetTarget');
+    const weekdayInput = document.getElementById('budgetWeekday');
+    const weekendInput = document.getElementById('budgetWeekend');
+    const target = type === 'domain'
+      ? targetInput.value.trim().toLowerCase().replace(/^www\./, '')
+      : targetInput.value.trim();
+    const weekday = parseInt(weekdayInput.value, 10);
+    const weekend = parseInt(weekendInput.value, 10);
+    if (!target || !Number.isFinite(weekday) || weekday < 0) return;
+
+    const budget = { type, target, weekday };
+    if (Number.isFinite(weekend) && weekend >= 0) budget.weekend = weekend;
+    const budgets = (this.settings.budgets || []).filter(b => !(b.type === type && b.target === target));
+    await this.saveBudgets([...budgets, budget]);
+    targetInput.value = '';
+    weekdayInput.value = '';
+    weekendInput.value = '';
+  }
+
+  async saveBudgets(budgets) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { budgets } });
+      this.settings.budgets = budgets;
+      await this.loadBudgets();
+    } catch (error) {
+      console.error('Error saving budgets:', error);
+    }
+  }
+
+  async loadCategoryEditor() {
+    try {
+      this.categoryOverview = await chrome.runtime.sendMessage({ action: 'categories:get' });
+      this.renderCategoryEditor();
+    } catch (error) {
+      console.error('Error loading categories:', error);
+    }
+  }
+
+  renderCategoryEditor() {
+    const overview = this.categoryOverview;
+    if (!overview) return;
+    const names = Object.keys(overview.categories);
+    const weightOptions = (selected) => ['productive', 'neutral', 'distracting']
+      .map(w => `<option value="${w}" ${w === selected ? 'selected' : ''}>${w[0].toUpperCase()}${w.slice(1)}</option>`)
+      .join('');
+    const categoryOptions = (selected) => names
+      .map(n => `<option value="${this.escapeHtml(n)}" ${n === selected ? 'selected' : ''}>${this.escapeHtml(n)}</option>`)
+      .join('');
+
+    const list = document.getElementById('categoryList');
+    if (list) {
+      list.innerHTML = '';
+      names.forEach(name => {
+        const builtIn = overview.defaultCategories.includes(name);
+        const el = document.createElement('div');
+        el.className = 'rule-item';
+        el.innerHTML = `
+          <span>${this.escapeHtml(name)}</span>
+          <span class="rule-actions">
+            <select class="setting-select category-weight">${weightOptions(overview.categories[name].weight)}</select>
+            ${builtIn ? '' : '<button class="btn btn-danger category-remove">Remove</button>'}
+          </span>
+        `;
+        el.querySelector('.category-weight').addEventListener('change', (e) => {
+          this.saveCategory(name, e.currentTarget.value);
+        });
+        const remove = el.querySelector('.category-remove');
+        if (remove) remove.addEventListener('click', () => this.removeCategory(name));
+        list.appendChild(el);
+      });
+    }
+
+    const select = document.getElementById('domainCategorySelect');
+    if (select) select.innerHTML = categoryOptions();
+
+    const assignments = document.getElementById('domainCategoryList');
+    if (assignments) {
+      assignments.innerHTML = '';
+      Object.entries(overview.userDomainCategories).forEach(([domain, category]) => {
+        const el = document.createElement('div');
+        el.className = 'rule-item';
+        el.innerHTML = `
+          <span>${this.escapeHtml(domain)} → ${this.escapeHtml(category)}</span>
+          <button class="btn btn-danger">Remove</button>
+        `;
+        el.querySelector('button').addEventListener('click', () => this.assignCategory(domain, null));
+        assignments.appendChild(el);
+      });
+    }
+
+    const suggestions = document.getElementById('categorySuggestions');
+    if (suggestions) {
+      suggestions.innerHTML = '';
+      if (overview.suggestions.length === 0) {
+        suggestions.innerHTML = '<p class="setting-hint">Every tracked site has a category.</p>';
+      }
+      overview.suggestions.forEach(({ domain, suggestion }) => {
+        const el = document.createElement('div');
+        el.className = 'rule-item';
+        el.innerHTML = `
+          <span>${this.escapeHtml(domain)}</span>
+          <span class="rule-actions">
+            <select class="setting-select">${categoryOptions(suggestion)}</select>
+            <button class="btn btn-primary">${suggestion ? 'Accept' : 'Assign'}</button>
+          </span>
+        `;
+        el.querySelector('button').addEventListener('click', () => {
+          this.assignCategory(domain, el.querySelector('select').value);
+        });
+        suggestions.appendChild(el);
+      });
+    }
+  }
+
+  async addCategory() {
+    const input = document.getElementById('categoryNameInput');
+    const name = input && input.value ? input.value.trim() : '';
+    if (!name || name === 'Uncategorized') return;
+    await this.saveCategory(name, document.getElementById('categoryWeightInput').value);
+    input.value = '';
+  }
+
+  async saveCategory(name, weight) {
+    const categories = { ...(this.settings.categories || {}), [name]: { weight } };
+    await this.saveCategorySettings({ categories });
+  }
+
+  async removeCategory(name) {
+    const categories = { ...(this.settings.categories || {}) };
+    delete categories[name];
+    const domainCategories = { ...(this.settings.domainCategories || {}) };
+    Object.keys(domainCategories).forEach(domain => {
+      if (domainCategories[domain] === name) delete domainCategories[domain];
+    });
+    await this.saveCategorySettings({ categories, domainCategories });
+  }
+
+  async assignCategory(domain, category) {
+    const domainCategories = { ...(this.settings.domainCategories || {}) };
+    if (category) {
+      domainCategories[domain] = category;
+    } else {
+      delete domainCategories[domain];
+    }
+    await this.saveCategorySettings({ domainCategories });
+  }
+
+  async saveCategorySettings(settings) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+      this.settings = { ...this.settings, ...settings };
+      await this.loadCategoryEditor();
+    } catch (error) {
+      console.error('Error saving categories:', error);
+    }
+  }
+
+  renderExclusionRules() {
+    const container = document.getElementById('exclusionRules');
+    if (!container) return;
+    container.innerHTML = '';
+    const rules = this.settings.excludedDomains || [];
+    rules.forEach((rule, index) => {
+      const el = document.createElement('div');
+      el.className = 'rule-item';
+      el.innerHTML = `
+        <span>${this.escapeHtml(rule)}</span>
+        <button class="btn btn-danger rule-remove" data-index="${index}">Remove</button>
+      `;
+      container.appendChild(el);
+    });
+    container.querySelectorAll('.rule-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const index = parseInt(e.currentTarget.getAttribute('data-index'), 10);
+        const next = rules.filter((_, i) => i !== index);
+        this.saveExclusionRules(next);
+      });
+    });
+  }
+
+  async addExclusionRule() {
+    const input = document.getElementById('exclusionRuleInput');
+    const rule = input && input.value ? input.value.trim() : '';
+    if (!rule) return;
+    try {
+      const check = await chrome.runtime.sendMessage({ action: 'exclusions:test', rule });
+      if (!check || !check.valid) {
+        alert('That rule is not valid. Check the regular expression.');
+        return;
+      }
+      const rules = this.settings.excludedDomains || [];
+      if (!rules.includes(rule)) {
+        await this.saveExclusionRules([...rules, rule]);
+      }
+      const purge = document.getElementById('exclusionPurge');
+      if (purge && purge.checked) {
+        const result = await chrome.runtime.sendMessage({ action: 'exclusions:purge', rule });
+        if (result && !result.error) {
+          alert(`Deleted ${this.formatDuration(result.removedTime)} of past data matching ${rule}.`);
+        }
+        purge.checked = false;
+      }
+      input.value = '';
+    } catch (error) {
+      console.error('Error adding exclusion rule:', error);
+    }
+  }
+
+  async saveExclusionRules(rules) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { excludedDomains: rules } });
+      this.settings.excludedDomains = rules;
+      this.renderExclusionRules();
+      this.testExclusionUrl();
+    } catch (error) {
+      console.error('Error saving exclusion rules:', error);
+    }
+  }
+
+  async testExclusionUrl() {
+    const input = document.getElementById('exclusionTestUrl');
+    const result = document.getElementById('exclusionTestResult');
+    if (!input || !result) return;
+    const url = input.value.trim();
+    if (!url) {
+      result.textContent = '';
+      return;
+    }
+    try {
+      const check = await chrome.runtime.sendMessage({ action: 'exclusions:test', url });
+      if (!check || !check.rule) {
+        result.textContent = 'Tracked - no rule matches this URL.';
+      } else if (check.rule === 'built-in') {
+        result.textContent = 'Excluded - browser pages are never tracked.';
+      } else {
+        result.textContent = `Excluded by rule: ${check.rule}`;
+      }
+    } catch (error) {
+      console.error('Error testing URL:', error);
+    }
+  }
+
+  async saveSettingsTab() {
+    const idle = parseInt(document.getElementById('idleThresholdSeconds').value, 10) || 60;
+    const retention = parseInt(document.getElementById('dataRetentionDays').value, 10) || 30;
+    const dayStart = parseInt(document.getElementById('dayStartHour').value, 10) || 0;
+    const dailyGoal = parseInt(document.getElementById('dailyGoal').value, 10) || 480;
+    const settings = {
+      dailyGoal: Math.min(1440, Math.max(1, dailyGoal)),
+      goalType: document.getElementById('goalType').value === 'min' ? 'min' : 'max',
+      badgeMode: document.getElementById('badgeMode').value,
+      idleThresholdSeconds: Math.max(15, idle),
+      dataRetentionDays: Math.max(1, retention),
+      dayStartHour: Math.min(23, Math.max(0, dayStart))
+    };
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+      this.settings = { ...this.settings, ...settings };
+      this.loadSettingsTab();
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      alert('Error saving settings. Please try again.');
+    }
+  }
+
+  async loadLedgerDebug() {
+    const container = document.getElementById('ledgerDebugList');
+    if (!container) return;
+    try {
+      const debug = await chrome.runtime.sendMessage({ action: 'ledger:debug' });
+      container.innerHTML = '';
+      const spans = debug && debug.spans ? debug.spans : [];
+      const rows = debug && debug.current ? [{ ...debug.current, closedBy: 'open' }, ...spans] : spans;
+      if (rows.length === 0) {
+        container.textContent = 'No spans recorded since the browser started.';
+        return;
+      }
+      rows.forEach((span) => {
+        const confirmed = Object.entries(span.confirmedBy || {})
+          .map(([signal, count]) => `${signal}×${count}`)
+          .join(', ');
+        const el = document.createElement('div');
+        el.className = 'debug-item';
+        el.innerHTML = `
+          <span>${this.formatClock(span.start)}–${this.formatClock(span.end)} ${this.escapeHtml(span.domain || '')}</span>
+          <span class="debug-signals">${this.escapeHtml(`${span.openedBy} → ${span.closedBy}`)}${confirmed ? ` (${this.escapeHtml(confirmed)})` : ''}</span>
+        `;
+        container.appendChild(el);
+      });
+    } catch (error) {
+      console.error('Error loading ledger debug:', error);
+    }
+  }
+
   async loadPomodoroData() {
     try {
       const res = await chrome.runtime.sendMessage({ action: 'pomodoro:get' });
@@ -640,6 +1721,8 @@ class PopupManager {
       if (dispEl) dispEl.textContent = display;
       if (statusEl) statusEl.textContent = s.mode === 'break' ? 'Break' : 'Work';
       if (sessionsEl) sessionsEl.textContent = s.sessionsCompleted || 0;
+      const distractionsEl = document.getElementById('pomodoroDistractions');
+      if (distractionsEl) distractionsEl.textContent = s.focusSession ? s.focusSession.distractions.length : 0;
       if (this.pomodoroTimer) clearInterval(this.pomodoroTimer);
       if (s.isRunning) {
         this.pomodoroTimer = setInterval(() => this.loadPomodoroData(), 1000);
@@ -663,6 +1746,55 @@ class PopupManager {
     } catch {}
   }
 
+  renderFocusBlocklist() {
+    const container = document.getElementById('focusBlocklist');
+    if (!container) return;
+    container.innerHTML = '';
+    const rules = this.settings.focusBlocklist || [];
+    rules.forEach(rule => {
+      const el = document.createElement('div');
+      el.className = 'rule-item';
+      el.innerHTML = `
+        <span>${this.escapeHtml(rule)}</span>
+        <button class="btn btn-danger">Remove</button>
+      `;
+      el.querySelector('button').addEventListener('click', () => {
+        this.saveFocusBlocklist(rules.filter(r => r !== rule));
+      });
+      container.appendChild(el);
+    });
+  }
+
+  async addFocusRule() {
+    const input = document.getElementById('focusRuleInput');
+    const rule = input && input.value ? input.value.trim() : '';
+    if (!rule) return;
+    try {
+      const check = await chrome.runtime.sendMessage({ action: 'exclusions:test', rule });
+      if (!check || !check.valid) {
+        alert('That rule is not valid. Check the regular expression.');
+        return;
+      }
+      const rules = this.settings.focusBlocklist || [];
+      if (!rules.includes(rule)) {
+        await this.saveFocusBlocklist([...rules, rule]);
+      }
+      input.value = '';
+    } catch (error) {
+      console.error('Error adding focus rule:', error);
+    }
+  }
+
+  async saveFocusBlocklist(rules) {
+    try {
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings: { focusBlocklist: rules } });
+      this.settings.focusBlocklist = rules;
+      this.renderFocusBlocklist();
+    } catch (error) {
+      console.error('Error saving focus blocklist:', error);
+    }
+  }
+
   async pomodoroStart() {
     const wd = parseInt(document.getElementById('workDuration').value, 10) || 25;
     const bd = parseInt(document.getElementById('breakDuration').value, 10) || 5;
@@ -746,19 +1878,23 @@ class PopupManager {
       const m = d.getMonth();
       const day = d.getDate();
       if (y === todayY && m === todayM && day === todayD) {
-        (groups['Today'] ||= []).push(t);
+        if (!groups['Today']) groups['Today'] = [];
+        groups['Today'].push(t);
         return;
       }
       if (y === yesterday.getFullYear() && m === yesterday.getMonth() && day === yesterday.getDate()) {
-        (groups['Yesterday'] ||= []).push(t);
+        if (!groups['Yesterday']) groups['Yesterday'] = [];
+        groups['Yesterday'].push(t);
         return;
       }
       if (y === prevMonthY && m === prevMonthM) {
-        (groups['Last Month'] ||= []).push(t);
+        if (!groups['Last Month']) groups['Last Month'] = [];
+        groups['Last Month'].push(t);
         return;
       }
       const label = this.formatDayLabel(d);
-      (groups[label] ||= []).push(t);
+      if (!groups[label]) groups[label] = [];
+      groups[label].push(t);
     });
     return groups;
   }
@@ -786,6 +1922,7 @@ class PopupManager {
         <label class="todo-check">
           <input type="checkbox" ${t.done ? 'checked' : ''} data-id="${t.id}" />
           <span class="todo-text ${t.done ? 'done' : ''}">${this.escapeHtml(t.text)}</span>
+          ${t.url && /^https?:/i.test(t.url) ? `<a class="todo-link" href="${this.escapeHtml(t.url)}" target="_blank" title="Open page"><i class="fa-solid fa-arrow-up-right-from-square"></i></a>` : ''}
           ${createdStr ? `<span class="todo-created">${this.escapeHtml(createdStr)}</span>` : ''}
         </label>
         <button class="btn btn-danger todo-delete" data-id="${t.id}">Delete</button>
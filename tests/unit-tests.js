@@ -17,7 +17,32 @@ class UsageTrackerTests {
       this.testDataStorage,
       this.testTabTracking,
       this.testStatisticsCalculation,
-      this.testPrivacyFeatures
+      this.testPrivacyFeatures,
+      this.testIdleAccounting,
+      this.testRetentionRollUp,
+      this.testRestoredSpanReconciliation,
+      this.testTimeLedger,
+      this.testDayBuckets,
+      this.testExclusionRules,
+      this.testCategoryScore,
+      this.testBudgetLimits,
+      this.testGoalStreaks,
+      this.testBadgeTimeFormatting,
+      this.testDueTextParsing,
+      this.testMigrationRunner,
+      this.testImportMerge,
+      this.testExportSerialization,
+      this.testStorageQueue,
+      this.testStorageQueueWriteError,
+      this.testStatisticsRebuild,
+      this.testRebuildAfterMidnight,
+      this.testBackupEncryption,
+      this.testSyncMerge,
+      this.testSyncSettingsMerge,
+      this.testImportOfExport,
+      this.testUrlCompaction,
+      this.testBackupChangeHash,
+      this.testRangeBuckets
     ];
 
     for (const test of this.tests) {
@@ -261,6 +286,1174 @@ class UsageTrackerTests {
     // This would need to be verified in the actual implementation
     console.log('⚠️  Note: External data transmission test requires runtime verification');
   }
+
+  // Test 7: Idle-aware span clipping
+  testIdleAccounting() {
+    const now = 1700000000000;
+    const thresholdSeconds = 60;
+    const testCases = [
+      // Idle is reported after the threshold, so the span ends a minute earlier
+      { state: 'idle', startTime: now - 600000, expectedEnd: now - 60000 },
+      // Locking is reported immediately
+      { state: 'locked', startTime: now - 600000, expectedEnd: now },
+      // A span that started inside the idle window never goes negative
+      { state: 'idle', startTime: now - 30000, expectedEnd: now - 30000 }
+    ];
+
+    testCases.forEach(testCase => {
+      const idleStart = this.getIdleStart(testCase.state, now, thresholdSeconds);
+      const endTime = Math.max(testCase.startTime, idleStart);
+      if (endTime !== testCase.expectedEnd) {
+        throw new Error(`Idle clipping failed for ${testCase.state}. Expected: ${testCase.expectedEnd}, Got: ${endTime}`);
+      }
+    });
+  }
+
+  getIdleStart(state, now, thresholdSeconds) {
+    return state === 'idle' ? now - thresholdSeconds * 1000 : now;
+  }
+
+  // Test 8: Monthly roll-up of expired daily buckets
+  testRetentionRollUp() {
+    const day = {
+      'google.com': { totalTime: 600000, visitCount: 4, idleTime: 60000, urls: { 'https://google.com/': 600000 } },
+      'github.com': { totalTime: 300000, visitCount: 2, urls: { 'https://github.com/': 300000 } }
+    };
+    const summary = { days: [], totalTime: 0, totalVisits: 0, domains: {} };
+
+    this.rollUpDay(summary, '2024-01-15', day);
+    this.rollUpDay(summary, '2024-01-16', day);
+    // Rolling up the same day twice must be a no-op
+    this.rollUpDay(summary, '2024-01-15', day);
+
+    if (summary.totalTime !== 1800000 || summary.totalVisits !== 12) {
+      throw new Error(`Roll-up totals failed. Expected: 1800000/12, Got: ${summary.totalTime}/${summary.totalVisits}`);
+    }
+    if (summary.domains['google.com'].idleTime !== 120000) {
+      throw new Error('Roll-up failed to carry idle time');
+    }
+    if (Object.values(summary.domains).some(entry => entry.urls)) {
+      throw new Error('Roll-up must not keep page URLs');
+    }
+    if (summary.days.join(',') !== '2024-01-15,2024-01-16') {
+      throw new Error(`Roll-up day list incorrect: ${summary.days.join(',')}`);
+    }
+  }
+
+  rollUpDay(summary, date, visits) {
+    if (summary.days.includes(date)) return summary;
+
+    summary.days.push(date);
+    summary.days.sort();
+
+    Object.entries(visits).forEach(([domain, stats]) => {
+      if (!summary.domains[domain]) {
+        summary.domains[domain] = { totalTime: 0, visitCount: 0, idleTime: 0 };
+      }
+      const entry = summary.domains[domain];
+      entry.totalTime += stats.totalTime || 0;
+      entry.visitCount += stats.visitCount || 0;
+      entry.idleTime += stats.idleTime || 0;
+      summary.totalTime += stats.totalTime || 0;
+      summary.totalVisits += stats.visitCount || 0;
+    });
+
+    return summary;
+  }
+
+  // Test 9: Reconciling a span restored after a service worker suspension
+  testRestoredSpanReconciliation() {
+    const now = 1700000000000;
+    const idleThresholdMs = 60000;
+    const testCases = [
+      // Checkpointed recently: keep the span running
+      { start: now - 600000, checkpointAt: now - 30000, expected: null },
+      // Worker gone for ten minutes: credit one threshold past the checkpoint
+      { start: now - 1200000, checkpointAt: now - 600000, expected: now - 540000 },
+      // No checkpoint recorded: fall back to the span start
+      { start: now - 600000, checkpointAt: undefined, expected: now - 540000 },
+      // A heartbeat after the checkpoint is the latest proof of activity
+      { start: now - 600000, lastSeen: now - 50000, checkpointAt: now - 90000, expected: null }
+    ];
+
+    testCases.forEach(testCase => {
+      const result = this.reconcileRestoredSpan(testCase, testCase.checkpointAt, now, idleThresholdMs);
+      if (result !== testCase.expected) {
+        throw new Error(`Span reconciliation failed. Expected: ${testCase.expected}, Got: ${result}`);
+      }
+    });
+  }
+
+  reconcileRestoredSpan(span, checkpointAt, now, maxGap) {
+    const lastKnown = Math.max(span.start, span.lastSeen || span.start, checkpointAt || span.start);
+    if (now - lastKnown <= maxGap) return null;
+    return lastKnown + maxGap;
+  }
+
+  // Test 10: Time ledger settles wall time to one URL at a time
+  testTimeLedger() {
+    const settled = [];
+    const ledger = this.createLedger((span) => settled.push(span));
+    const t0 = 1700000000000;
+
+    ledger.open({ tabId: 1, url: 'https://a.com/' }, 'tab-focus', t0);
+    // Heartbeats and repeated focus for the same page only confirm it
+    ledger.confirm(1, 'https://a.com/', 'heartbeat', t0 + 10000);
+    ledger.open({ tabId: 1, url: 'https://a.com/' }, 'window-focus', t0 + 20000);
+    // Switching tabs settles the first span before opening the second
+    ledger.open({ tabId: 2, url: 'https://b.com/' }, 'tab-focus', t0 + 30000);
+    // A heartbeat from a background tab is not attributed
+    if (ledger.confirm(1, 'https://a.com/', 'heartbeat', t0 + 40000)) {
+      throw new Error('Ledger confirmed a tab that does not own the open span');
+    }
+    ledger.close('window-focus', t0 + 45000);
+
+    const total = settled.reduce((sum, span) => sum + (span.end - span.start), 0);
+    if (settled.length !== 2 || total !== 45000) {
+      throw new Error(`Ledger double-counted time. Expected: 2 spans / 45000ms, Got: ${settled.length} / ${total}ms`);
+    }
+    if (settled[0].openedBy !== 'tab-focus' || settled[0].closedBy !== 'tab-focus' || settled[0].confirmedBy.heartbeat !== 1) {
+      throw new Error('Ledger failed to record the attributing signals');
+    }
+  }
+
+  createLedger(onSettle) {
+    const ledger = {
+      current: null,
+      isCurrent(tabId, url) {
+        return !!this.current && this.current.tabId === tabId && this.current.url === url;
+      },
+      open(target, signal, at) {
+        if (this.isCurrent(target.tabId, target.url)) {
+          this.confirm(target.tabId, target.url, signal, at);
+          return false;
+        }
+        this.close(signal, at);
+        this.current = { ...target, start: at, lastSeen: at, openedBy: signal, confirmedBy: {} };
+        return true;
+      },
+      confirm(tabId, url, signal, at) {
+        if (!this.isCurrent(tabId, url)) return false;
+        this.current.lastSeen = Math.max(this.current.lastSeen, at);
+        this.current.confirmedBy[signal] = (this.current.confirmedBy[signal] || 0) + 1;
+        return true;
+      },
+      close(signal, at) {
+        const span = this.current;
+        if (!span) return null;
+        this.current = null;
+        const settledSpan = { ...span, end: Math.max(span.start, at), closedBy: signal };
+        if (settledSpan.end - settledSpan.start > 1000) onSettle(settledSpan);
+        return settledSpan;
+      }
+    };
+    return ledger;
+  }
+
+  // Test 11: Local day buckets with a configurable day-start hour
+  testDayBuckets() {
+    const dayStartHour = 4;
+
+    // 02:30 local still belongs to the previous day when days start at 4am
+    const lateNight = new Date(2024, 0, 16, 2, 30).getTime();
+    if (this.getDayKey(lateNight, dayStartHour) !== '2024-01-15') {
+      throw new Error(`Day key failed. Expected: 2024-01-15, Got: ${this.getDayKey(lateNight, dayStartHour)}`);
+    }
+
+    // A span from 03:00 to 05:00 is split at the 04:00 boundary
+    const start = new Date(2024, 0, 16, 3, 0).getTime();
+    const end = new Date(2024, 0, 16, 5, 0).getTime();
+    const pieces = this.splitByDay(start, end, dayStartHour);
+    if (pieces.length !== 2) {
+      throw new Error(`Span split failed. Expected: 2 pieces, Got: ${pieces.length}`);
+    }
+    if (pieces[0].date !== '2024-01-15' || pieces[1].date !== '2024-01-16') {
+      throw new Error(`Span split dates incorrect: ${pieces[0].date}, ${pieces[1].date}`);
+    }
+    if (pieces[0].end - pieces[0].start !== 3600000 || pieces[1].end - pieces[1].start !== 3600000) {
+      throw new Error('Span split durations incorrect');
+    }
+  }
+
+  getDayStart(ts, dayStartHour) {
+    const d = new Date(ts);
+    if (d.getHours() < dayStartHour) {
+      d.setDate(d.getDate() - 1);
+    }
+    d.setHours(dayStartHour, 0, 0, 0);
+    return d.getTime();
+  }
+
+  getNextDayStart(dayStart, dayStartHour) {
+    const d = new Date(dayStart);
+    d.setDate(d.getDate() + 1);
+    d.setHours(dayStartHour, 0, 0, 0);
+    return d.getTime();
+  }
+
+  getDayKey(ts, dayStartHour) {
+    const d = new Date(this.getDayStart(ts, dayStartHour));
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  splitByDay(start, end, dayStartHour) {
+    const pieces = [];
+    let cursor = start;
+    while (cursor < end) {
+      const boundary = this.getNextDayStart(this.getDayStart(cursor, dayStartHour), dayStartHour);
+      const pieceEnd = Math.min(end, boundary);
+      pieces.push({ date: this.getDayKey(cursor, dayStartHour), start: cursor, end: pieceEnd });
+      cursor = pieceEnd;
+    }
+    return pieces;
+  }
+
+  // Test 12: User exclusion rules
+  testExclusionRules() {
+    const rules = ['news.example.org', '*.corp.example.com', 'github.com/private', '/[?&]token=/', 'chrome://']
+      .map(rule => this.compileExclusionRule(rule));
+    const testCases = [
+      { url: 'https://www.news.example.org/today', excluded: true },
+      { url: 'https://sports.example.org/', excluded: false },
+      { url: 'https://corp.example.com/', excluded: true },
+      { url: 'https://wiki.corp.example.com/page', excluded: true },
+      { url: 'https://notcorp.example.com/', excluded: false },
+      { url: 'https://github.com/private/repo', excluded: true },
+      { url: 'https://github.com/public/repo', excluded: false },
+      { url: 'https://app.example.net/?token=abc', excluded: true },
+      { url: 'chrome://settings/', excluded: true }
+    ];
+
+    testCases.forEach(testCase => {
+      const excluded = rules.some(rule => rule.matchesUrl(testCase.url));
+      if (excluded !== testCase.excluded) {
+        throw new Error(`Exclusion rule check failed for ${testCase.url}. Expected: ${testCase.excluded}, Got: ${excluded}`);
+      }
+    });
+
+    if (this.compileExclusionRule('/[unclosed/') !== null) {
+      throw new Error('Invalid regex rule should be rejected');
+    }
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  compileExclusionRule(rule) {
+    const text = String(rule || '').trim();
+    if (!text) return null;
+
+    const regex = text.match(/^\/(.+)\/([imsu]*)$/);
+    if (regex) {
+      try {
+        const pattern = new RegExp(regex[1], regex[2]);
+        return { rule: text, matchesUrl: (url) => pattern.test(url) };
+      } catch {
+        return null;
+      }
+    }
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(text)) {
+      return { rule: text, matchesUrl: (url) => url.startsWith(text) };
+    }
+
+    const lower = text.toLowerCase();
+    if (lower.startsWith('*.')) {
+      const base = lower.slice(2);
+      return { rule: text, matchesUrl: (url) => {
+        const host = this.getHost(url);
+        return host === base || host.endsWith(`.${base}`);
+      } };
+    }
+
+    const slash = lower.indexOf('/');
+    if (slash > 0) {
+      const host = lower.slice(0, slash).replace(/^www\./, '');
+      const path = text.slice(slash);
+      return { rule: text, matchesUrl: (url) => {
+        const urlObj = new URL(url);
+        return this.getHost(url) === host && (urlObj.pathname + urlObj.search).startsWith(path);
+      } };
+    }
+
+    const host = lower.replace(/^www\./, '');
+    return { rule: text, matchesUrl: (url) => this.getHost(url) === host };
+  }
+
+  // Test category lookup and the weighted productivity score
+  testCategoryScore() {
+    const config = {
+      categories: { Work: { weight: 'productive' }, Social: { weight: 'distracting' }, News: { weight: 'neutral' } },
+      domainCategories: { 'github.com': 'Work', 'twitter.com': 'Social', 'news.example.org': 'News' }
+    };
+
+    if (this.categorizeDomain('gist.github.com', config) !== 'Work') {
+      throw new Error('Subdomains should inherit the parent domain category');
+    }
+    if (this.categorizeDomain('unknown.net', config) !== null) {
+      throw new Error('Unknown domains should have no category');
+    }
+
+    const summary = this.summarizeCategories({
+      'github.com': { totalTime: 3600000 },
+      'twitter.com': { totalTime: 1800000 },
+      'news.example.org': { totalTime: 600000 },
+      'unknown.net': { totalTime: 600000 }
+    }, config);
+
+    // (3600 * 1 + 1800 * 0 + 600 * 0.5 + 600 * 0.5) / 6600 = 63.6%
+    if (summary.score !== 64) {
+      throw new Error(`Productivity score mismatch. Expected: 64, Got: ${summary.score}`);
+    }
+    if (summary.categories.Uncategorized.totalTime !== 600000) {
+      throw new Error('Uncategorized time should be grouped');
+    }
+    if (this.summarizeCategories({}, config).score !== null) {
+      throw new Error('A day without tracked time should have no score');
+    }
+  }
+
+  categorizeDomain(domain, config) {
+    const parts = String(domain || '').split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      const category = config.domainCategories[parts.slice(i).join('.')];
+      if (category && config.categories[category]) return category;
+    }
+    return null;
+  }
+
+  summarizeCategories(dailyStats, config) {
+    const weights = { productive: 1, neutral: 0.5, distracting: 0 };
+    const categories = {};
+    let totalTime = 0;
+    let weightedTime = 0;
+
+    Object.entries(dailyStats).forEach(([domain, stats]) => {
+      const name = this.categorizeDomain(domain, config) || 'Uncategorized';
+      const weight = name === 'Uncategorized' ? 'neutral' : config.categories[name].weight;
+      if (!categories[name]) categories[name] = { totalTime: 0, weight, domains: [] };
+      categories[name].totalTime += stats.totalTime;
+      categories[name].domains.push(domain);
+      totalTime += stats.totalTime;
+      weightedTime += stats.totalTime * weights[weight];
+    });
+
+    return { categories, totalTime, score: totalTime > 0 ? Math.round((weightedTime / totalTime) * 100) : null };
+  }
+
+  // Test weekday/weekend budget limits and which domains a budget covers
+  testBudgetLimits() {
+    const budget = { type: 'domain', target: 'reddit.com', weekday: 30, weekend: 60 };
+
+    // 2024-01-15 is a Monday, 2024-01-20 a Saturday
+    if (this.getBudgetLimit(budget, '2024-01-15') !== 30 * 60000) {
+      throw new Error('Weekday limit should apply on Monday');
+    }
+    if (this.getBudgetLimit(budget, '2024-01-20') !== 60 * 60000) {
+      throw new Error('Weekend limit should apply on Saturday');
+    }
+    if (this.getBudgetLimit({ ...budget, weekend: undefined }, '2024-01-21') !== 30 * 60000) {
+      throw new Error('Weekend should fall back to the weekday limit');
+    }
+
+    const testCases = [
+      { domain: 'reddit.com', expected: true },
+      { domain: 'old.reddit.com', expected: true },
+      { domain: 'notreddit.com', expected: false }
+    ];
+    testCases.forEach(testCase => {
+      const result = this.budgetMatches(budget, testCase.domain);
+      if (result !== testCase.expected) {
+        throw new Error(`Budget match failed for ${testCase.domain}. Expected: ${testCase.expected}, Got: ${result}`);
+      }
+    });
+  }
+
+  getBudgetLimit(budget, date) {
+    const [year, month, day] = date.split('-').map(Number);
+    const weekday = new Date(year, month - 1, day).getDay();
+    const weekend = weekday === 0 || weekday === 6;
+    const minutes = weekend && budget.weekend !== undefined && budget.weekend !== null && budget.weekend !== ''
+      ? budget.weekend
+      : budget.weekday;
+    const value = parseFloat(minutes);
+    return Number.isFinite(value) && value >= 0 ? value * 60 * 1000 : null;
+  }
+
+  budgetMatches(budget, domain) {
+    const target = String(budget.target).toLowerCase().replace(/^www\./, '');
+    return domain === target || domain.endsWith(`.${target}`);
+  }
+
+  // Test current and best streaks over the goal history
+  testGoalStreaks() {
+    const met = { met: true, final: true, type: 'max' };
+    const history = {
+      '2024-01-08': met,
+      '2024-01-09': met,
+      '2024-01-10': met,
+      '2024-01-11': { ...met, met: false },
+      // 2024-01-12 has no entry and breaks the run
+      '2024-01-13': met,
+      '2024-01-14': met,
+      '2024-01-15': { met: true, final: false, type: 'max' }
+    };
+
+    let streaks = this.getGoalStreaks(history, '2024-01-15');
+    if (streaks.current !== 2 || streaks.best !== 3) {
+      throw new Error(`Streak mismatch. Expected: 2/3, Got: ${streaks.current}/${streaks.best}`);
+    }
+
+    // A reached minimum counts before the day is over
+    history['2024-01-15'] = { met: true, final: false, type: 'min' };
+    streaks = this.getGoalStreaks(history, '2024-01-15');
+    if (streaks.current !== 3) {
+      throw new Error(`Minimum goal should count today. Expected: 3, Got: ${streaks.current}`);
+    }
+  }
+
+  // Test that badge times fit in four characters
+  testBadgeTimeFormatting() {
+    const testCases = [
+      { input: 0, expected: '0m' },
+      { input: 59 * 60000, expected: '59m' },
+      { input: 65 * 60000, expected: '1:05' },
+      { input: 9 * 3600000 + 59 * 60000, expected: '9:59' },
+      { input: 12 * 3600000, expected: '12h' }
+    ];
+
+    testCases.forEach(testCase => {
+      const result = this.formatBadgeTime(testCase.input);
+      if (result !== testCase.expected) {
+        throw new Error(`Badge time failed for ${testCase.input}. Expected: ${testCase.expected}, Got: ${result}`);
+      }
+      if (result.length > 4) {
+        throw new Error(`Badge text too long: ${result}`);
+      }
+    });
+  }
+
+  // Test due dates parsed from omnibox tasks
+  testDueTextParsing() {
+    const now = new Date(2024, 0, 15, 10, 0).getTime(); // Monday 10:00
+    const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes).getTime();
+    const testCases = [
+      { input: 'buy milk tomorrow 9am', text: 'buy milk', dueAt: at(16, 9) },
+      { input: 'buy milk 9am tomorrow', text: 'buy milk', dueAt: at(16, 9) },
+      { input: 'call bob at 17:30', text: 'call bob', dueAt: at(15, 17, 30) },
+      { input: 'call bob 8am', text: 'call bob', dueAt: at(16, 8) },
+      { input: 'report friday 2pm', text: 'report', dueAt: at(19, 14) },
+      { input: 'pay rent in 2h', text: 'pay rent', dueAt: at(15, 12) },
+      { input: 'buy 2 apples', text: 'buy 2 apples', dueAt: null }
+    ];
+
+    testCases.forEach(testCase => {
+      const result = this.parseDueText(testCase.input, now);
+      if (result.text !== testCase.text || result.dueAt !== testCase.dueAt) {
+        throw new Error(`Due text failed for "${testCase.input}". Got: ${result.text} / ${result.dueAt && new Date(result.dueAt)}`);
+      }
+    });
+  }
+
+  // Test that migrations run in order, only once, without touching the input
+  testMigrationRunner() {
+    const migrations = [
+      { version: 1, up: (data) => ({ ...data, steps: [...(data.steps || []), 1] }) },
+      { version: 2, up: (data) => ({ ...data, steps: [...(data.steps || []), 2] }) }
+    ];
+
+    const legacy = { settings: {} };
+    const migrated = this.migrateSnapshot(legacy, migrations);
+    if (migrated.schemaVersion !== 2 || migrated.steps.join(',') !== '1,2') {
+      throw new Error(`Legacy data should run every step. Got: ${JSON.stringify(migrated)}`);
+    }
+    if (legacy.schemaVersion !== undefined || legacy.steps !== undefined) {
+      throw new Error('The input snapshot should not be modified');
+    }
+
+    const partial = this.migrateSnapshot({ schemaVersion: 1, steps: [1] }, migrations);
+    if (partial.steps.join(',') !== '1,2') {
+      throw new Error(`Only pending steps should run. Got: ${partial.steps}`);
+    }
+
+    let rejected = false;
+    try {
+      this.migrateSnapshot({ schemaVersion: 3 }, migrations);
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('Data from a newer schema should be rejected');
+    }
+  }
+
+  testImportMerge() {
+    const current = { totalTime: 1000, visitCount: 1, idleTime: 0, urls: { 'https://a.com/': 1000 } };
+    const imported = { totalTime: 3000, visitCount: 2, idleTime: 500, urls: { 'https://a.com/': 2000, 'https://a.com/x': 1000 } };
+
+    const summed = this.mergeImportEntry(current, imported, 'sum');
+    if (summed.totalTime !== 4000 || summed.visitCount !== 3 || summed.idleTime !== 500) {
+      throw new Error(`Sum should add the durations. Got: ${JSON.stringify(summed)}`);
+    }
+    if (summed.urls['https://a.com/'] !== 3000 || summed.urls['https://a.com/x'] !== 1000) {
+      throw new Error(`Sum should add URL times. Got: ${JSON.stringify(summed.urls)}`);
+    }
+
+    if (this.mergeImportEntry(current, imported, 'max') !== imported) {
+      throw new Error('Max should keep the entry with more time');
+    }
+    if (this.mergeImportEntry(imported, current, 'max') !== imported) {
+      throw new Error('Max should keep the existing entry when it has more time');
+    }
+    if (this.mergeImportEntry(undefined, imported, 'sum') !== imported) {
+      throw new Error('A site only in the file should be taken as is');
+    }
+  }
+
+  async testBackupEncryption() {
+    const plaintext = JSON.stringify({ 'visits_2026-10-19': { 'example.com': { totalTime: 1000, urls: { 'https://example.com/private': 1000 } } } });
+    const envelope = await this.encryptBackup(plaintext, 'correct horse', 1000);
+    if (envelope.data.includes('private') || envelope.kdf.iterations !== 1000) {
+      throw new Error(`Backup should be encrypted and record its KDF settings. Got: ${JSON.stringify(envelope)}`);
+    }
+
+    if (await this.decryptBackup(envelope, 'correct horse') !== plaintext) {
+      throw new Error('The right passphrase should restore the export');
+    }
+
+    let rejected = false;
+    try {
+      await this.decryptBackup(envelope, 'wrong horse');
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('A wrong passphrase should fail to decrypt');
+    }
+
+    const tampered = { ...envelope, data: Buffer.from(Buffer.from(envelope.data, 'base64').map((b, i) => (i === 0 ? b ^ 1 : b))).toString('base64') };
+    rejected = false;
+    try {
+      await this.decryptBackup(tampered, 'correct horse');
+    } catch {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('A modified backup should fail authentication');
+    }
+  }
+
+  async deriveBackupKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encryptBackup(plaintext, passphrase, iterations) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await this.deriveBackupKey(passphrase, salt, iterations);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+    return {
+      format: 'usage-tracker-encrypted',
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: Buffer.from(salt).toString('base64') },
+      cipher: { name: 'AES-GCM', iv: Buffer.from(iv).toString('base64') },
+      data: Buffer.from(ciphertext).toString('base64')
+    };
+  }
+
+  async decryptBackup(envelope, passphrase) {
+    const key = await this.deriveBackupKey(passphrase, Buffer.from(envelope.kdf.salt, 'base64'), envelope.kdf.iterations);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: Buffer.from(envelope.cipher.iv, 'base64') },
+      key,
+      Buffer.from(envelope.data, 'base64')
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  testStatisticsRebuild() {
+    const stored = {
+      totalTime: 9000,
+      domains: { 'a.com': { totalTime: 6000, visitCount: 3 }, 'gone.com': { totalTime: 3000, visitCount: 1 } }
+    };
+    const rebuilt = {
+      totalTime: 6700,
+      domains: { 'a.com': { totalTime: 6000, visitCount: 3 }, 'new.com': { totalTime: 700, visitCount: 1 } }
+    };
+
+    const discrepancies = this.compareStatistics(stored, rebuilt);
+    if (discrepancies.map((entry) => entry.domain).join(',') !== 'gone.com,new.com') {
+      throw new Error(`Drifted sites should be listed, largest difference first. Got: ${JSON.stringify(discrepancies)}`);
+    }
+    if (this.compareStatistics(rebuilt, rebuilt).length !== 0) {
+      throw new Error('Matching statistics should report no discrepancies');
+    }
+    if (this.compareStatistics(undefined, rebuilt).length !== 2) {
+      throw new Error('Missing statistics should report every rebuilt site');
+    }
+  }
+
+  compareStatistics(stored, rebuilt) {
+    const storedDomains = (stored && stored.domains) || {};
+    const domains = new Set([...Object.keys(storedDomains), ...Object.keys(rebuilt.domains)]);
+    const discrepancies = [];
+    domains.forEach((domain) => {
+      const before = storedDomains[domain] || {};
+      const after = rebuilt.domains[domain] || {};
+      const storedTime = before.totalTime || 0;
+      const rebuiltTime = after.totalTime || 0;
+      const storedVisits = before.visitCount || 0;
+      const rebuiltVisits = after.visitCount || 0;
+      if (storedTime !== rebuiltTime || storedVisits !== rebuiltVisits) {
+        discrepancies.push({ domain, storedTime, rebuiltTime, storedVisits, rebuiltVisits });
+      }
+    });
+    return discrepancies.sort((a, b) => Math.abs(b.rebuiltTime - b.storedTime) - Math.abs(a.rebuiltTime - a.storedTime));
+  }
+
+  testRebuildAfterMidnight() {
+    // Needs Node to read the background script
+    if (typeof require === 'undefined') return;
+    const tracker = Object.create(this.loadBackgroundClass().prototype);
+    const data = {};
+    tracker.dayStartHour = 0;
+    tracker.storage = { increment: (key, mutate) => { data[key] = mutate(data[key]); } };
+    const start = new Date(2026, 2, 14, 23, 50).getTime();
+    tracker.settleSpan({ domain: 'a.com', url: 'https://a.com/', start, end: start + 20 * 60 * 1000, tabId: 1 });
+    tracker.settleSpan({ domain: 'a.com', url: 'https://a.com/', start: start + 30 * 60 * 1000, end: start + 40 * 60 * 1000, tabId: 1 });
+
+    if (!data['visits_2026-03-14'] || !data['visits_2026-03-15']) {
+      throw new Error('A span past midnight should add time to both days');
+    }
+    const rebuilt = tracker.recomputeStatistics(data);
+    if (rebuilt.totalVisits !== data.statistics.totalVisits || rebuilt.totalTime !== data.statistics.totalTime) {
+      throw new Error(`Rebuilt totals should equal the live ones. Got ${rebuilt.totalVisits} visits, expected ${data.statistics.totalVisits}`);
+    }
+    if (tracker.compareStatistics(data.statistics, rebuilt).length !== 0) {
+      throw new Error('A span past midnight should not make the rebuild report drift');
+    }
+  }
+
+  testSyncMerge() {
+    const task = { id: 't1', text: 'Write report', done: false, createdAt: 100 };
+    const local = { tasks: [{ ...task, done: true, clock: { done: 300 } }], tombstones: {} };
+    const remote = { tasks: [{ ...task, text: 'Write the report', clock: { text: 200 } }], tombstones: {} };
+
+    const merged = this.mergeSyncedTasks(local, remote, 1000);
+    if (merged.tasks.length !== 1 || merged.tasks[0].text !== 'Write the report' || merged.tasks[0].done !== true) {
+      throw new Error(`Edits to different fields should both survive. Got: ${JSON.stringify(merged.tasks)}`);
+    }
+    const swapped = this.mergeSyncedTasks(remote, local, 1000);
+    if (JSON.stringify(swapped.tasks) !== JSON.stringify(merged.tasks)) {
+      throw new Error('Both devices should settle on the same tasks');
+    }
+
+    const deleted = this.mergeSyncedTasks(local, { tasks: [], tombstones: { t1: 400 } }, 1000);
+    if (deleted.tasks.length !== 0) {
+      throw new Error('A delete newer than every edit should remove the task');
+    }
+    const revived = this.mergeSyncedTasks(
+      { tasks: [{ ...task, clock: { text: 500 } }], tombstones: {} },
+      { tasks: [], tombstones: { t1: 400 } },
+      1000
+    );
+    if (revived.tasks.length !== 1) {
+      throw new Error('An edit made after the delete should keep the task');
+    }
+    const expired = this.mergeSyncedTasks({ tasks: [], tombstones: { t1: 400 } }, { tasks: [], tombstones: {} }, 400 + 31 * 86400000);
+    if ('t1' in expired.tombstones) {
+      throw new Error('Tombstones older than 30 days should be dropped');
+    }
+  }
+
+  mergeSyncedTasks(local, remote, now) {
+    const fields = ['text', 'done', 'dueAt', 'url'];
+    const stableJSON = (value) => JSON.stringify(value, (key, val) => (
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.fromEntries(Object.keys(val).sort().map((k) => [k, val[k]]))
+        : val
+    ));
+    const fieldClock = (t, field) => (t.clock && t.clock[field]) || t.createdAt || 0;
+    const remoteWins = (aAt, aValue, bAt, bValue) => {
+      if (bAt !== aAt) return bAt > aAt;
+      if (aValue === undefined || bValue === undefined) return aValue === undefined && bValue !== undefined;
+      return String(stableJSON(bValue)) > String(stableJSON(aValue));
+    };
+    const mergeTask = (a, b) => {
+      const merged = { ...a, clock: {} };
+      fields.forEach((field) => {
+        const aAt = fieldClock(a, field);
+        const bAt = fieldClock(b, field);
+        const source = remoteWins(aAt, a[field], bAt, b[field]) ? b : a;
+        if (field in source) merged[field] = source[field]; else delete merged[field];
+        merged.clock[field] = Math.max(aAt, bAt);
+      });
+      return merged;
+    };
+
+    const tombstones = { ...remote.tombstones };
+    Object.entries(local.tombstones).forEach(([id, at]) => {
+      tombstones[id] = Math.max(at, tombstones[id] || 0);
+    });
+    const localById = new Map(local.tasks.map((t) => [t.id, t]));
+    const remoteById = new Map(remote.tasks.map((t) => [t.id, t]));
+    const tasks = [];
+    new Set([...localById.keys(), ...remoteById.keys()]).forEach((id) => {
+      const a = localById.get(id);
+      const b = remoteById.get(id);
+      const t = a && b ? mergeTask(a, b) : (a || b);
+      const lastEdit = Math.max(...fields.map((field) => fieldClock(t, field)));
+      if (tombstones[id] && tombstones[id] >= lastEdit) return;
+      tasks.push(t);
+    });
+    const cutoff = now - 30 * 24 * 60 * 60 * 1000;
+    Object.keys(tombstones).forEach((id) => {
+      if (tombstones[id] < cutoff) delete tombstones[id];
+    });
+    return { tasks, tombstones };
+  }
+
+  testSyncSettingsMerge() {
+    // Needs Node to read the background script
+    if (typeof require === 'undefined') return;
+    const tracker = Object.create(this.loadBackgroundClass().prototype);
+    const local = { values: { dailyGoal: 300, excludedDomains: ['secret.com'], dataRetentionDays: 90 }, clock: {} };
+
+    const first = tracker.mergeFields(local, { values: {}, clock: {} });
+    if (JSON.stringify(first.values) !== JSON.stringify(local.values)) {
+      throw new Error(`A first sync against empty storage must keep local settings. Got: ${JSON.stringify(first.values)}`);
+    }
+    const joined = tracker.mergeFields({ values: {}, clock: {} }, { values: { dailyGoal: 120 }, clock: {} });
+    if (joined.values.dailyGoal !== 120) {
+      throw new Error('Settings from another device should fill in ones never set here');
+    }
+    const deleted = tracker.mergeFields(local, { values: {}, clock: { excludedDomains: 5 } });
+    if ('excludedDomains' in deleted.values || deleted.values.dailyGoal !== 300) {
+      throw new Error('A newer delete should remove only that setting');
+    }
+  }
+
+  testImportOfExport() {
+    // Needs Node to read the background script
+    if (typeof require === 'undefined') return;
+    const tracker = Object.create(this.loadBackgroundClass().prototype);
+    // Everything the extension keeps in storage.local, as exportData writes it
+    const exported = {
+      'visits_2024-01-15': { 'a.com': { totalTime: 1000, visits: 1 } }, 'sessions_2024-01-15': [],
+      'monthly_2023-12': { 'a.com': { totalTime: 5000 } }, 'focus_2024-01-15': [], 'budgets_2024-01-15': {},
+      statistics: {}, settings: { dailyGoal: 240 }, pomodoro: {}, goalHistory: {}, pausedDomains: {}, tasks: [],
+      schemaVersion: 2, migrations: {}, syncDevice: { id: 'x' }, syncStatus: {}, settingsClock: {}, taskTombstones: {},
+      backupStatus: {}, schemaBackup: {}, storageWarning: {}, trackerState: {}
+    };
+
+    const { warnings, hasSettings } = tracker.validateImport(exported);
+    if (warnings.length > 0) {
+      throw new Error(`Importing an export should not warn. Got: ${warnings.join('; ')}`);
+    }
+    if (!hasSettings) throw new Error('The export has settings');
+    const withoutSettings = tracker.validateImport({ 'visits_2024-01-15': exported['visits_2024-01-15'] });
+    if (withoutSettings.hasSettings || !withoutSettings.data.settings) {
+      throw new Error('Default settings from the migration must not count as settings in the file');
+    }
+  }
+
+  // Evaluates the constants and classes of src/background.js, without the
+  // listeners that follow them, so a test can call the real UsageTracker
+  // (or another class's) methods
+  loadBackgroundClass(name = 'UsageTracker') {
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+    const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'background.js'), 'utf8');
+    const definitions = source.slice(0, source.indexOf('// Initialize the tracker'));
+    const context = vm.createContext({ chrome: { storage: { local: {} } }, console, TextEncoder, crypto: globalThis.crypto, setTimeout, clearTimeout });
+    return vm.runInContext(`${definitions}\n${name};`, context);
+  }
+
+  testUrlCompaction() {
+    const urls = { 'https://a.com/1': 500, 'https://a.com/2': 300, 'https://a.com/3': 100, 'https://a.com/4': 50, '(other pages)': 25 };
+    const total = Object.values(urls).reduce((sum, ms) => sum + ms, 0);
+
+    const compacted = this.compactUrlMap(urls, 2);
+    if (Object.keys(compacted.urls).join(',') !== 'https://a.com/1,https://a.com/2,(other pages)') {
+      throw new Error(`The longest-viewed URLs should be kept. Got: ${JSON.stringify(compacted.urls)}`);
+    }
+    if (compacted.urls['(other pages)'] !== 175 || compacted.removed !== 2) {
+      throw new Error('Folded time should be added to the existing other entry');
+    }
+    if (Object.values(compacted.urls).reduce((sum, ms) => sum + ms, 0) !== total) {
+      throw new Error('Compaction must not change the total time');
+    }
+    if (this.compactUrlMap(compacted.urls, 2) !== null) {
+      throw new Error('A compacted map should not be compacted again');
+    }
+  }
+
+  compactUrlMap(urls, limit) {
+    const entries = Object.entries(urls || {}).filter(([url]) => url !== '(other pages)');
+    if (entries.length <= limit) return null;
+    entries.sort((a, b) => b[1] - a[1]);
+    const rest = entries.slice(limit);
+    const compacted = Object.fromEntries(entries.slice(0, limit));
+    compacted['(other pages)'] = ((urls && urls['(other pages)']) || 0) + rest.reduce((sum, [, ms]) => sum + ms, 0);
+    return { urls: compacted, removed: rest.length };
+  }
+
+  async testBackupChangeHash() {
+    const data = {
+      tasks: [{ id: 'a', text: 'Report' }],
+      settings: { dailyGoal: 480, trackingEnabled: true },
+      backupStatus: { lastBackupAt: 1 }
+    };
+    const hash = await this.hashBackupData(data);
+
+    const reordered = {
+      settings: { trackingEnabled: true, dailyGoal: 480 },
+      tasks: [{ text: 'Report', id: 'a' }],
+      backupStatus: { lastBackupAt: 2, error: 'Disk full' },
+      syncStatus: { lastSyncAt: 3 }
+    };
+    if (await this.hashBackupData(reordered) !== hash) {
+      throw new Error('Key order and bookkeeping keys should not count as a change');
+    }
+    if (await this.hashBackupData({ ...data, tasks: [] }) === hash) {
+      throw new Error('Changed data should produce a new backup');
+    }
+  }
+
+  async hashBackupData(data) {
+    const stableJSON = (value) => JSON.stringify(value, (key, val) => (
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.fromEntries(Object.keys(val).sort().map((k) => [k, val[k]]))
+        : val
+    ));
+    const relevant = { ...data };
+    ['backupStatus', 'syncStatus', 'storageWarning'].forEach((key) => delete relevant[key]);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableJSON(relevant)));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  testRangeBuckets() {
+    const days = [];
+    for (let i = 0; i < 63; i++) {
+      const d = new Date(2026, 6, 27 + i); // Monday 27 July to Sunday 27 September
+      days.push({ date: `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`, totalTime: 1000 });
+    }
+
+    if (this.bucketRangeDays(days.slice(0, 7)).length !== 7 || this.bucketRangeDays(days.slice(0, 31)).length !== 31) {
+      throw new Error('Ranges up to a month should have one bar per day');
+    }
+    const weeks = this.bucketRangeDays(days);
+    if (weeks.length !== 9 || weeks.some((week) => week.totalTime !== 7000)) {
+      throw new Error(`Longer ranges should be split at Mondays. Got: ${JSON.stringify(weeks)}`);
+    }
+    const partial = this.bucketRangeDays(days.slice(3));
+    if (partial[0].totalTime !== 4000 || partial.length !== 9) {
+      throw new Error('A range starting mid-week should open with a short first week');
+    }
+
+    if (this.shiftDayKey('2026-03-01', -1) !== '2026-02-28' || this.shiftDayKey('2026-12-31', 1) !== '2027-01-01') {
+      throw new Error('Day keys should shift across month and year ends');
+    }
+  }
+
+  bucketRangeDays(days) {
+    const toDate = (key) => {
+      const [year, month, day] = key.split('-').map(Number);
+      return new Date(year, month - 1, day);
+    };
+    if (days.length <= 31) {
+      return days.map((day) => ({ label: day.date, totalTime: day.totalTime }));
+    }
+    const byWeek = days.length <= 183;
+    const buckets = [];
+    days.forEach((day, index) => {
+      const date = toDate(day.date);
+      if (index === 0 || (byWeek ? date.getDay() === 1 : date.getDate() === 1)) {
+        buckets.push({ label: day.date, totalTime: 0 });
+      }
+      buckets[buckets.length - 1].totalTime += day.totalTime;
+    });
+    return buckets;
+  }
+
+  async testStorageQueue() {
+    const data = {};
+    let writes = 0;
+    const delay = () => new Promise((resolve) => setTimeout(resolve, 1));
+    const area = {
+      get: async (keys) => {
+        await delay();
+        const out = {};
+        [].concat(keys).forEach((key) => { if (key in data) out[key] = JSON.parse(JSON.stringify(data[key])); });
+        return out;
+      },
+      set: async (items) => {
+        await delay();
+        writes++;
+        Object.assign(data, JSON.parse(JSON.stringify(items)));
+      }
+    };
+    const queue = this.createStorageQueue(area);
+
+    // Unqueued, these would all read 0 and write 1
+    await Promise.all(Array.from({ length: 10 }, () => queue.update('count', (v) => ({ count: (v.count || 0) + 1 }))));
+    if (data.count !== 10) {
+      throw new Error(`Overlapping updates should all apply. Got: ${data.count}`);
+    }
+
+    writes = 0;
+    for (let i = 0; i < 50; i++) {
+      queue.increment('time', (value = 0) => value + 1000);
+    }
+    const result = await queue.get('time');
+    if (result.time !== 50000 || writes !== 1) {
+      throw new Error(`Increments should land in one write before a read. Got ${result.time} in ${writes} writes`);
+    }
+  }
+
+  async testStorageQueueWriteError() {
+    // Needs Node to read the background script
+    if (typeof require === 'undefined') return;
+    const StorageQueue = this.loadBackgroundClass('StorageQueue');
+    const queue = new StorageQueue({
+      get: async () => ({}),
+      set: async () => { throw new Error('QUOTA_BYTES quota exceeded'); }
+    });
+    const logged = [];
+    const original = console.error;
+    console.error = (...args) => logged.push(args.join(' '));
+    try {
+      queue.increment('visits_2026-10-12', (visits = {}) => visits);
+      await queue.flush();
+    } finally {
+      console.error = original;
+    }
+    if (!logged.some((line) => line.includes('visits_2026-10-12') && line.includes('quota exceeded'))) {
+      throw new Error(`A failed batched write should be logged with its keys. Got: ${JSON.stringify(logged)}`);
+    }
+  }
+
+  // Minimal copy of StorageQueue from background.js
+  createStorageQueue(area) {
+    const queue = {
+      tail: Promise.resolve(),
+      pending: new Map(),
+      enqueue(task) {
+        const run = queue.tail.then(() => task(area));
+        queue.tail = run.catch(() => {});
+        return run;
+      },
+      queueBatch() {
+        if (queue.pending.size === 0) return;
+        const batch = queue.pending;
+        queue.pending = new Map();
+        queue.enqueue(async () => {
+          const values = await area.get([...batch.keys()]);
+          batch.forEach((updates, key) => {
+            values[key] = updates.reduce((value, apply) => apply(value), values[key]);
+          });
+          await area.set(values);
+        });
+      },
+      update(keys, mutate) {
+        queue.queueBatch();
+        return queue.enqueue(async () => {
+          const changes = mutate(await area.get(keys));
+          if (changes) await area.set(changes);
+          return changes;
+        });
+      },
+      increment(key, apply) {
+        if (!queue.pending.has(key)) queue.pending.set(key, []);
+        queue.pending.get(key).push(apply);
+      },
+      async get(keys) {
+        queue.queueBatch();
+        await queue.tail;
+        return area.get(keys);
+      }
+    };
+    return queue;
+  }
+
+  testExportSerialization() {
+    const columns = ['date', 'url', 'time'];
+    const rows = [['2026-10-12', 'https://example.com/a,b', 3600], ['2026-10-12', 'https://example.com/"q"', 90]];
+
+    const csv = this.serializeRows(columns, rows, 'csv');
+    const expected = 'date,url,time\r\n2026-10-12,"https://example.com/a,b",3600\r\n2026-10-12,"https://example.com/""q""",90\r\n';
+    if (csv !== expected) {
+      throw new Error(`CSV cells with commas or quotes should be quoted. Got: ${JSON.stringify(csv)}`);
+    }
+
+    const jsonl = this.serializeRows(columns, rows, 'jsonl').trim().split('\n').map((line) => JSON.parse(line));
+    if (jsonl.length !== 2 || jsonl[1].url !== 'https://example.com/"q"' || jsonl[0].time !== 3600) {
+      throw new Error(`JSON lines should have one object per row. Got: ${JSON.stringify(jsonl)}`);
+    }
+
+    const cases = [[0, 'seconds', 0], [3723000, 'seconds', 3723], [3723000, 'hmm', '1:02'], [29000, 'hmm', '0:00'], [35999000, 'hmm', '10:00']];
+    cases.forEach(([ms, unit, want]) => {
+      const got = this.formatExportDuration(ms, unit);
+      if (got !== want) {
+        throw new Error(`${ms}ms in ${unit} should be ${want}, got ${got}`);
+      }
+    });
+  }
+
+  formatExportDuration(ms, unit) {
+    const seconds = Math.round((ms || 0) / 1000);
+    if (unit !== 'hmm') return seconds;
+    const minutes = Math.round(seconds / 60);
+    return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  serializeRows(columns, rows, format) {
+    if (format === 'jsonl') {
+      return rows.map((row) => JSON.stringify(Object.fromEntries(columns.map((column, i) => [column, row[i]])))).join('\n') + '\n';
+    }
+    if (format === 'tsv') {
+      const clean = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ');
+      return [columns, ...rows].map((row) => row.map(clean).join('\t')).join('\n') + '\n';
+    }
+    const quote = (value) => {
+      const text = String(value ?? '');
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows].map((row) => row.map(quote).join(',')).join('\r\n') + '\r\n';
+  }
+
+  mergeImportEntry(a, b, strategy) {
+    if (!a) return b;
+    if (!b) return a;
+    if (strategy === 'max') return (b.totalTime || 0) > (a.totalTime || 0) ? b : a;
+    const urls = { ...(a.urls || {}) };
+    Object.entries(b.urls || {}).forEach(([url, ms]) => { urls[url] = (urls[url] || 0) + ms; });
+    return {
+      ...a,
+      totalTime: (a.totalTime || 0) + (b.totalTime || 0),
+      visitCount: (a.visitCount || 0) + (b.visitCount || 0),
+      idleTime: (a.idleTime || 0) + (b.idleTime || 0),
+      urls
+    };
+  }
+
+  migrateSnapshot(snapshot, migrations) {
+    const latest = migrations[migrations.length - 1].version;
+    const from = snapshot.schemaVersion || 0;
+    if (from > latest) {
+      throw new Error(`Data is from a newer version (schema ${from})`);
+    }
+    let data = JSON.parse(JSON.stringify(snapshot));
+    migrations.filter((migration) => migration.version > from).forEach((migration) => {
+      data = migration.up(data);
+      data.schemaVersion = migration.version;
+    });
+    return data;
+  }
+
+  parseDueText(input, now) {
+    let text = String(input || '').trim();
+    const relative = text.match(/\s+in\s+(\d+)\s*(m|mins?|minutes?|h|hrs?|hours?|d|days?)$/i);
+    if (relative) {
+      const unit = relative[2][0].toLowerCase();
+      const factor = unit === 'm' ? 60000 : unit === 'h' ? 3600000 : 86400000;
+      return { text: text.slice(0, relative.index).trim(), dueAt: now + parseInt(relative[1], 10) * factor };
+    }
+
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    let time = null;
+    let day = null;
+    for (let i = 0; i < 2; i++) {
+      const clock = !time && text.match(/(?:\s+at)?\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+      if (clock && (clock[2] || clock[3])) {
+        let hours = parseInt(clock[1], 10) % (clock[3] ? 12 : 24);
+        if (clock[3] && clock[3].toLowerCase() === 'pm') hours += 12;
+        time = { hours, minutes: parseInt(clock[2] || '0', 10) };
+        text = text.slice(0, clock.index);
+        continue;
+      }
+      const word = !day && text.match(/\s+([a-z]+)$/i);
+      const name = word ? word[1].toLowerCase() : '';
+      if (['today', 'tonight', 'tomorrow'].includes(name) || (name.length >= 3 && days.some((d) => d.startsWith(name)))) {
+        day = name;
+        text = text.slice(0, word.index);
+        continue;
+      }
+      break;
+    }
+    if (!time && !day) return { text: String(input || '').trim(), dueAt: null };
+
+    const due = new Date(now);
+    if (day === 'tomorrow') {
+      due.setDate(due.getDate() + 1);
+    } else if (day && day !== 'today' && day !== 'tonight') {
+      const target = days.findIndex((name) => name.startsWith(day));
+      due.setDate(due.getDate() + (((target - due.getDay() + 7) % 7) || 7));
+    }
+    const at = time || (day === 'tonight' ? { hours: 20, minutes: 0 } : { hours: 9, minutes: 0 });
+    due.setHours(at.hours, at.minutes, 0, 0);
+    if (!day && due.getTime() <= now) due.setDate(due.getDate() + 1);
+    return { text: text.trim(), dueAt: due.getTime() };
+  }
+
+  formatBadgeTime(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 10) return `${hours}:${String(minutes % 60).padStart(2, '0')}`;
+    return `${hours}h`;
+  }
+
+  shiftDayKey(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    const d = new Date(year, month - 1, day + days);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+  }
+
+  getGoalStreaks(history, today) {
+    const counts = (date) => {
+      const entry = history[date];
+      if (!entry || !entry.met) return false;
+      return entry.final || (date === today && entry.type === 'min');
+    };
+
+    let current = 0;
+    let cursor = counts(today) ? today : this.shiftDayKey(today, -1);
+    while (counts(cursor)) {
+      current++;
+      cursor = this.shiftDayKey(cursor, -1);
+    }
+
+    let best = 0;
+    let run = 0;
+    let previous = null;
+    Object.keys(history).sort().forEach((date) => {
+      if (!counts(date)) {
+        run = 0;
+      } else {
+        run = previous && counts(previous) && this.shiftDayKey(previous, 1) === date ? run + 1 : 1;
+      }
+      best = Math.max(best, run);
+      previous = date;
+    });
+
+    return { current, best };
+  }
 }
 
 // Test runner for browser environment